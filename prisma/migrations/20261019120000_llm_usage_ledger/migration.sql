@@ -0,0 +1,22 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "plan" TEXT NOT NULL DEFAULT 'free';
+
+-- CreateTable
+CREATE TABLE "LlmUsage" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "route" TEXT NOT NULL,
+    "provider" TEXT,
+    "model" TEXT NOT NULL,
+    "promptTokens" INTEGER NOT NULL DEFAULT 0,
+    "completionTokens" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "LlmUsage_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "LlmUsage_userId_createdAt_idx" ON "LlmUsage"("userId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "LlmUsage_route_createdAt_idx" ON "LlmUsage"("route", "createdAt");
@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "Message" ADD COLUMN     "meta" JSONB,
+ADD COLUMN     "replyToId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "Message_replyToId_idx" ON "Message"("replyToId");
+
+-- AddForeignKey
+ALTER TABLE "Message" ADD CONSTRAINT "Message_replyToId_fkey" FOREIGN KEY ("replyToId") REFERENCES "Message"("id") ON DELETE SET NULL ON UPDATE CASCADE;
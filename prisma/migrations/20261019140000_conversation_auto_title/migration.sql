@@ -0,0 +1,10 @@
+-- AlterTable
+ALTER TABLE "Conversation" ADD COLUMN     "titleLocked" BOOLEAN NOT NULL DEFAULT false,
+ALTER COLUMN "title" DROP NOT NULL,
+ALTER COLUMN "title" DROP DEFAULT;
+
+-- conversas com o título padrão antigo recebem auto-título na próxima troca
+UPDATE "Conversation" SET "title" = NULL WHERE "title" = 'Nova conversa';
+
+-- CreateIndex
+CREATE INDEX "Conversation_userId_updatedAt_idx" ON "Conversation"("userId", "updatedAt");
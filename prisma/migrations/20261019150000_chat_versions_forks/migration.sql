@@ -0,0 +1,10 @@
+-- AlterTable
+ALTER TABLE "Conversation" ADD COLUMN     "forkedFromId" TEXT,
+ADD COLUMN     "forkedFromMessageId" TEXT;
+
+-- AlterTable
+ALTER TABLE "Message" ADD COLUMN     "supersededAt" TIMESTAMP(3),
+ADD COLUMN     "version" INTEGER NOT NULL DEFAULT 1;
+
+-- AddForeignKey
+ALTER TABLE "Conversation" ADD CONSTRAINT "Conversation_forkedFromId_fkey" FOREIGN KEY ("forkedFromId") REFERENCES "Conversation"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Conversation" ADD COLUMN     "summary" TEXT,
+ADD COLUMN     "summaryUntil" TIMESTAMP(3);
@@ -0,0 +1,32 @@
+-- Busca textual (GET /search): dicionário português sem acentos.
+-- Funções, configuração e índices por expressão não cabem no schema.prisma;
+-- ficam só aqui (o Prisma não mexe neles).
+
+-- CreateExtension
+CREATE EXTENSION IF NOT EXISTS "unaccent";
+
+-- Configuração "pt_unaccent": português + unaccent ("mitose" casa com "Mitóse", "ação" com "acao")
+CREATE TEXT SEARCH CONFIGURATION pt_unaccent (COPY = portuguese);
+ALTER TEXT SEARCH CONFIGURATION pt_unaccent
+  ALTER MAPPING FOR hword, hword_part, word WITH unaccent, portuguese_stem;
+
+-- Texto pesquisável de cada Event (chat legado, resumos, planos, cartões do kanban)
+CREATE OR REPLACE FUNCTION event_search_text(etype TEXT, payload JSONB) RETURNS TEXT
+LANGUAGE sql IMMUTABLE PARALLEL SAFE AS $$
+  SELECT CASE etype
+    WHEN 'chat' THEN coalesce(payload->>'question', '') || ' ' || coalesce(payload->>'answer', '')
+    WHEN 'summary' THEN coalesce(payload->>'summary', '') || ' ' || coalesce(payload->>'text', '')
+    WHEN 'plan' THEN coalesce(payload#>>'{plan,meta,titulo}', '') || ' ' || coalesce(payload->>'objetivoGeral', '')
+    WHEN 'kanban' THEN CASE WHEN payload->>'kind' = 'card'
+      THEN coalesce(payload->>'title', '') || ' ' || coalesce(payload->>'description', '')
+      ELSE '' END
+    ELSE ''
+  END
+$$;
+
+-- CreateIndex
+CREATE INDEX "Message_content_fts_idx" ON "Message" USING GIN (to_tsvector('pt_unaccent'::regconfig, "content"));
+
+-- CreateIndex
+CREATE INDEX "Event_search_fts_idx" ON "Event" USING GIN (to_tsvector('pt_unaccent'::regconfig, event_search_text("type", "payload")))
+WHERE "type" IN ('chat', 'summary', 'plan', 'kanban');
@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE "TopicMastery" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "materia" TEXT NOT NULL,
+    "topic" TEXT NOT NULL DEFAULT '',
+    "materiaLabel" TEXT NOT NULL,
+    "topicLabel" TEXT,
+    "mastery" DOUBLE PRECISION NOT NULL DEFAULT 0.5,
+    "evidence" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "signals" INTEGER NOT NULL DEFAULT 0,
+    "lastSource" TEXT,
+    "lastScore" DOUBLE PRECISION,
+    "lastSeenAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "TopicMastery_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "TopicMastery_userId_mastery_idx" ON "TopicMastery"("userId", "mastery");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "TopicMastery_userId_materia_topic_key" ON "TopicMastery"("userId", "materia", "topic");
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "persona" JSONB,
+ADD COLUMN     "defaultMateria" TEXT,
+ADD COLUMN     "goals" TEXT[] DEFAULT ARRAY[]::TEXT[],
+ADD COLUMN     "targetExam" TEXT,
+ADD COLUMN     "targetExamDate" TIMESTAMP(3);
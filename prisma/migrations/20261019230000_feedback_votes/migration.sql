@@ -0,0 +1,33 @@
+-- Votos saem de src/data/feedback.json e passam a viver aqui (um por usuário e item votado).
+-- Linhas antigas sem usuário/item não têm como ser identificadas: são descartadas.
+
+-- AlterTable
+ALTER TABLE "Feedback" ADD COLUMN     "historyId" TEXT,
+ADD COLUMN     "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+UPDATE "Feedback" SET "historyId" = "messageId" WHERE "historyId" IS NULL;
+DELETE FROM "Feedback" WHERE "historyId" IS NULL OR "userId" IS NULL;
+DELETE FROM "Feedback" a USING "Feedback" b
+  WHERE a."userId" = b."userId" AND a."historyId" = b."historyId"
+    AND (a."createdAt", a."id") < (b."createdAt", b."id");
+
+ALTER TABLE "Feedback" ALTER COLUMN "historyId" SET NOT NULL,
+ALTER COLUMN "userId" SET NOT NULL;
+
+-- DropForeignKey
+ALTER TABLE "Feedback" DROP CONSTRAINT "Feedback_userId_fkey";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Feedback_userId_historyId_key" ON "Feedback"("userId", "historyId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Feedback_userId_messageId_key" ON "Feedback"("userId", "messageId");
+
+-- CreateIndex
+CREATE INDEX "Feedback_historyId_idx" ON "Feedback"("historyId");
+
+-- CreateIndex
+CREATE INDEX "Feedback_updatedAt_idx" ON "Feedback"("updatedAt");
+
+-- AddForeignKey
+ALTER TABLE "Feedback" ADD CONSTRAINT "Feedback_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
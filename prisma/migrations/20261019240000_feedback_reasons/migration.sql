@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "Feedback" ALTER COLUMN "vote" DROP NOT NULL,
+ADD COLUMN     "reasons" TEXT[] DEFAULT ARRAY[]::TEXT[],
+ADD COLUMN     "comment" TEXT,
+ADD COLUMN     "reported" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "reportedAt" TIMESTAMP(3),
+ADD COLUMN     "reportStatus" TEXT,
+ADD COLUMN     "reviewedAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "Feedback_reported_reportStatus_reportedAt_idx" ON "Feedback"("reported", "reportStatus", "reportedAt");
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "mergedIntoId" TEXT,
+ADD COLUMN     "mergedAt" TIMESTAMP(3);
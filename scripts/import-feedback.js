@@ -0,0 +1,49 @@
+// scripts/import-feedback.js
+// Importa os votos antigos de src/data/feedback.json p/ a tabela Feedback.
+// Uso: npm run import:feedback [-- caminho/feedback.json] [-- --dry-run]
+// Idempotente: voto já gravado (pelo historyId ou, se for mensagem, pelo
+// Message.id) só é atualizado se o voto do arquivo for mais recente.
+'use strict';
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { prisma } = require('../src/lib/prisma');
+const { setVote, findVote } = require('../src/lib/feedbackStore');
+
+const DEFAULT_FILE = path.join(__dirname, '..', 'src', 'data', 'feedback.json');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const file = args.find(a => !a.startsWith('--')) || DEFAULT_FILE;
+
+  const { votes = [] } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const stats = { total: votes.length, imported: 0, skipped: 0, invalid: 0 };
+
+  for (const v of votes) {
+    const userId = String(v?.userId || '').trim();
+    const historyId = String(v?.historyId || '').trim();
+    if (!userId || !historyId || !['up', 'down'].includes(v?.vote)) {
+      stats.invalid++;
+      continue;
+    }
+    const createdAt = v.createdAt || v.updatedAt || new Date().toISOString();
+    const at = v.updatedAt || createdAt;
+    const existing = await findVote(userId, historyId);
+    if (existing && existing.updatedAt >= new Date(at)) {
+      stats.skipped++;
+      continue;
+    }
+    if (!dryRun) await setVote({ userId, historyId, vote: v.vote, createdAt, updatedAt: at });
+    stats.imported++;
+  }
+
+  console.log(`[import-feedback] ${file}${dryRun ? ' (dry-run)' : ''}`, stats);
+}
+
+main()
+  .catch(e => {
+    console.error('[import-feedback] falhou:', e);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
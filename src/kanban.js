@@ -1,9 +1,14 @@
 // src/kanban.js
 'use strict';
+const { langInfo, langRule } = require('./lib/i18n');
+const prompts = require('./lib/prompts');
 
 module.exports = function registerKanban(
   app,
-  { addEvent, listEvents, removeEvent, uuid, askLLMJson }
+  {
+    addEvent, listEvents, removeEvent, uuid, askLLMJson,
+    withLLMGate, llmGateOpts, checkQuota, quotaErrorBody, trackUsage, ingestMastery
+  }
 ) {
   if (!app) throw new Error('kanban: app inexistente');
   if (!addEvent || !listEvents || !removeEvent || !uuid) {
@@ -57,6 +62,14 @@ module.exports = function registerKanban(
     return next;
   }
 
+  // card de estudo (meta.materia ou 1ª etiqueta) marcado como feito → sinal p/ o domínio do aluno
+  function masteryFromCard(userId, before, after) {
+    if (!ingestMastery || before?.done || !after?.done) return;
+    const materia = after.meta?.materia || (Array.isArray(after.labels) ? after.labels[0] : null);
+    if (!materia) return;
+    ingestMastery({ userId, materia, topic: after.meta?.topic || after.title, source: 'kanban_card' });
+  }
+
   async function removeById(userId, id) {
     const n = await removeEvent(id, userId);
     return n > 0;
@@ -303,6 +316,11 @@ module.exports = function registerKanban(
       } = req.body || {};
       if (!userId) return res.status(400).json({ error: 'userId é obrigatório' });
 
+      if (checkQuota) {
+        const quota = await checkQuota(userId);
+        if (!quota.ok) return res.status(429).json(quotaErrorBody(quota));
+      }
+
       if (preferencias && preferencias.preferencias && typeof preferencias.preferencias === 'object') {
         preferencias = preferencias.preferencias;
       }
@@ -445,14 +463,17 @@ module.exports = function registerKanban(
           'title','description','due','labels','favorite','done','order',
           'listId','boardId','meta','startDate','endDate','startTime','endTime'
         ];
+        let before = null;
         const updated = await updateById(userId, cardId, (p) => {
           if (p.kind !== 'card') return p;
+          before = p;
           const next = { ...p };
           for (const k of ALLOW) if (typeof patch[k] !== 'undefined') next[k] = patch[k];
           next.updatedAt = nowISO();
           return next;
         });
         if (!updated) return null;
+        masteryFromCard(userId, before, updated.payload);
         const c = updated.payload;
         return {
           id: updated.id,
@@ -576,7 +597,7 @@ module.exports = function registerKanban(
         if (dryRun) {
           workingBoardId = '__preview__';
         } else {
-          const title = preferencias?.boardTitle || `Plano de estudos - ${new Date().toLocaleDateString('pt-BR')}`;
+          const title = preferencias?.boardTitle || `Plano de estudos - ${new Date().toLocaleDateString(langInfo(req.lang).locale)}`;
           workingBoardId = await createBoardLocal(title, preferencias?.boardDescription || '');
         }
       }
@@ -596,50 +617,10 @@ module.exports = function registerKanban(
         cards = await getCards(workingBoardId);
       }
 
-      const system = `Você é um planejador que TRABALHA EXCLUSIVAMENTE com Quadros Kanban.
-Retorne APENAS JSON válido no formato abaixo (sem comentários, sem texto fora do JSON).
-
-{
-  "lists": [{"ensure":{"title":"string"}}],
-  "ops": [
-    {
-      "action": "createCard",
-      "listTitle": "string",
-      "title": "string",
-      "description": "string?",
-      "due": "YYYY-MM-DD?",
-      "startDate": "YYYY-MM-DD?",
-      "endDate": "YYYY-MM-DD?",
-      "startTime": "HH:MM?",
-      "endTime": "HH:MM?",
-      "labels": ["curtas_sem_espaco"]?,
-      "checklists": [{"title":"string","items":["..."]}]?,
-      "meta": {}
-    },
-    {
-      "action": "updateCard",
-      "select": { "byId": "uuid?", "byTitle": "string?" },
-      "patch": {
-        "title":"string?", "description":"string?", "due":"YYYY-MM-DD?",
-        "startDate":"YYYY-MM-DD?", "endDate":"YYYY-MM-DD?",
-        "startTime":"HH:MM?", "endTime":"HH:MM?",
-        "labels":["curtas"]?, "favorite":true?, "done":false?, "meta": {}
-      }
-    },
-    {
-      "action": "moveCard",
-      "select": { "byId": "uuid?", "byTitle": "string?" },
-      "toListTitle": "string",
-      "toIndex": 0?
-    }
-  ]
-}
-
-Regras:
-- Use listas existentes quando fizer sentido; crie novas em "lists.ensure" quando necessário.
-- Converta o pedido do usuário em cards claros e objetivos, com datas/horas e checklists úteis.
-- Labels devem ser curtas (sem espaços), ex.: ["alta","prova","listening"].
-- NÃO invente IDs; para referenciar cards existentes, use "select.byTitle" se não souber o id.`;
+      const planPrompt = prompts.render('kanban-plan', {
+        langRule: langRule(req.lang) ? `\n${langRule(req.lang)}` : '',
+      }, { userId });
+      const system = planPrompt.text;
 
       const user = `BOARD SNAPSHOT
 Listas:
@@ -653,13 +634,23 @@ Pedido:
 "${prompt}"
 Produza apenas o JSON pedido.`;
 
-      let planRaw = await askLLMJson({ system, user, max_tokens: 1200, temperature: 0.15 });
+      const callPlan = ({ signal } = {}) => askLLMJson({
+        system, user, max_tokens: 1200, temperature: 0.15, signal,
+        onUsage: trackUsage ? trackUsage(userId, '/kanban/ai/plan') : undefined,
+      });
+      let planRaw = withLLMGate
+        ? await withLLMGate(callPlan, llmGateOpts(req, res, 'planner'))
+        : await callPlan();
+      if (planRaw?._error === 'cancelled') return res.end();
       let { lists: ensureLists, ops } = parsePlan(planRaw);
+      // versão do template que gerou os cards (meta.prompt); o fallback local não tem
+      let promptRef = planPrompt.ref;
 
       if ((!ensureLists || ensureLists.length === 0) && (!ops || ops.length === 0)) {
         console.warn('[ai/plan] IA retornou vazio; usando fallback local.');
+        promptRef = null;
         const targetListTitle = preferencias?.targetListTitle || 'A Fazer';
-        const dias = ['Segunda', 'Terça', 'Quarta', 'Quinta', 'Sexta'];
+        const dias = langInfo(req.lang).weekdays;
         const hoje = new Date();
 
         ensureLists = [];
@@ -693,6 +684,7 @@ Produza apenas o JSON pedido.`;
         return res.json({
           preview: { ensureLists, ops },
           stats: { lists: lists.length, cards: cards.length },
+          prompt: promptRef,
         });
       }
 
@@ -743,7 +735,7 @@ Produza apenas o JSON pedido.`;
               startTime: norm.time(op.startTime),
               endTime: norm.time(op.endTime),
               labels,
-              meta: op.meta || null,
+              meta: promptRef ? { ...(op.meta || {}), prompt: promptRef } : (op.meta || null),
             };
 
             const c = await createCardLocal(workingBoardId, L.id, payload);
@@ -818,7 +810,7 @@ Produza apenas o JSON pedido.`;
         }
       }
 
-      return res.json({ ok: true, boardId: workingBoardId, created, updated, moved });
+      return res.json({ ok: true, boardId: workingBoardId, created, updated, moved, prompt: promptRef });
     } catch (e) {
       console.error('ai/plan error', e);
       return res.status(500).json({ error: 'erro interno' });
@@ -1340,14 +1332,17 @@ app.patch('/kanban/cards/:id', async (req, res) => {
       'listId','boardId','meta','startDate','endDate','startTime','endTime','remindAt'
     ];
 
+    let before = null;
     const updated = await updateById(userId, id, (p) => {
       if (p.kind !== 'card') return p;
+      before = p;
       const next = { ...p };
       for (const k of ALLOW) if (typeof patch[k] !== 'undefined') next[k] = patch[k];
       next.updatedAt = nowISO();
       return next;
     });
     if (!updated) return res.status(404).json({ error: 'Card não encontrado' });
+    masteryFromCard(userId, before, updated.payload);
 
     const c = updated.payload;
     return res.json({
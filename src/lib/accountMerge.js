@@ -0,0 +1,195 @@
+// src/lib/accountMerge.js
+'use strict';
+const { prisma } = require('./prisma');
+const { getProfile, updateProfile } = require('./profile');
+const { revokeAll } = require('./sessions');
+const { forgetUser } = require('./auth');
+const { deckKey } = require('./flashcardStore');
+
+// -----------------------------
+// Vincular conta anônima → conta cadastrada
+// -----------------------------
+// O aluno usa o app com o id do /auth/anon e depois faz cadastro/login: tudo
+// que ficou no id anônimo passa p/ a conta (POST /auth/link ou anonToken/anonUserId
+// no /auth/register|login|oauth). Vai junto:
+//   UserEvent   (planos, resumos, kanban, flashcards, quiz, simulados, caderno de erros…)
+//               deck de flashcards com mesmo nome/matéria nos dois → os cartões vão p/ o da conta
+//   Conversation/Board (mensagens, listas e cards vão junto)
+//   Feedback    mesmo item votado nos dois → um registro só (ver mergeFeedback)
+//   TopicMastery mesmo tópico nos dois → média ponderada pela evidência
+//   LlmUsage    (a cota do dia continua contando)
+//   perfil      só preenche o que a conta ainda não tem
+// As sessões anônimas caem antes de mover (nada novo chega no id anônimo durante a
+// transação; se ela falhar, voltam). No fim o User anônimo fica como "lápide"
+// (mergedIntoId): apagar liberaria o id p/ ser usado de novo sem token (lib/auth.js).
+
+// 2 registros do mesmo item: vale o mais recente; o que ele não tiver vem do outro
+function mergeFeedback(a, b) {
+  const [newer, older] = a.updatedAt >= b.updatedAt ? [a, b] : [b, a];
+  const report = [newer, older].find(f => f.reported);
+  return {
+    vote: newer.vote ?? older.vote,
+    reasons: [...new Set([...(newer.reasons || []), ...(older.reasons || [])])],
+    comment: newer.comment ?? older.comment,
+    reported: !!report,
+    reportedAt: report?.reportedAt ?? null,
+    reportStatus: report?.reportStatus ?? null,
+    reviewedAt: report?.reviewedAt ?? null,
+    updatedAt: newer.updatedAt,
+  };
+}
+
+function mergeMastery(a, b) {
+  const evidence = a.evidence + b.evidence;
+  const [newer] = a.lastSeenAt >= b.lastSeenAt ? [a, b] : [b, a];
+  return {
+    mastery: evidence > 0 ? (a.mastery * a.evidence + b.mastery * b.evidence) / evidence : (a.mastery + b.mastery) / 2,
+    evidence,
+    signals: a.signals + b.signals,
+    lastSource: newer.lastSource,
+    lastScore: newer.lastScore,
+    lastSeenAt: newer.lastSeenAt,
+  };
+}
+
+async function moveFeedback(tx, fromId, toId) {
+  const rows = await tx.feedback.findMany({ where: { userId: fromId } });
+  let moved = 0;
+  let merged = 0;
+  for (const f of rows) {
+    const mine = await tx.feedback.findFirst({
+      where: {
+        userId: toId,
+        OR: [{ historyId: f.historyId }, ...(f.messageId ? [{ messageId: f.messageId }] : [])],
+      },
+    });
+    if (!mine) {
+      await tx.feedback.update({ where: { id: f.id }, data: { userId: toId } });
+      moved++;
+      continue;
+    }
+    const data = mergeFeedback(mine, f);
+    await tx.feedback.delete({ where: { id: f.id } });
+    await tx.feedback.update({ where: { id: mine.id }, data });
+    // Message.vote = voto do dono da conversa (agora toId)
+    const messageId = mine.messageId || f.messageId;
+    if (messageId) {
+      await tx.message.updateMany({
+        where: { id: messageId, conversation: { userId: toId } },
+        data: { vote: data.vote },
+      });
+    }
+    merged++;
+  }
+  return { moved, merged };
+}
+
+async function moveMastery(tx, fromId, toId) {
+  const rows = await tx.topicMastery.findMany({ where: { userId: fromId } });
+  let moved = 0;
+  let merged = 0;
+  for (const t of rows) {
+    const mine = await tx.topicMastery.findUnique({
+      where: { userId_materia_topic: { userId: toId, materia: t.materia, topic: t.topic } },
+    });
+    if (!mine) {
+      await tx.topicMastery.update({ where: { id: t.id }, data: { userId: toId } });
+      moved++;
+      continue;
+    }
+    await tx.topicMastery.delete({ where: { id: t.id } });
+    await tx.topicMastery.update({ where: { id: mine.id }, data: mergeMastery(mine, t) });
+    merged++;
+  }
+  return { moved, merged };
+}
+
+// decks: mesma chave (flashcardStore.deckKey) → cartões do anônimo vão p/ o deck da conta
+async function moveDecks(tx, fromId, toId) {
+  const flashcardsOf = (userId) => tx.event.findMany({ where: { type: 'flashcards', userEvent: { userId } } });
+  const mine = new Map((await flashcardsOf(toId))
+    .filter(e => e.payload?.kind === 'deck')
+    .map(d => [deckKey(d.payload), d.id]));
+  const theirs = await flashcardsOf(fromId);
+  let merged = 0;
+  for (const d of theirs.filter(e => e.payload?.kind === 'deck')) {
+    const target = mine.get(deckKey(d.payload));
+    if (!target) continue;
+    for (const c of theirs.filter(e => e.payload?.kind === 'card' && e.payload.deckId === d.id)) {
+      await tx.event.update({ where: { id: c.id }, data: { payload: { ...c.payload, deckId: target } } });
+    }
+    await tx.event.delete({ where: { id: d.id } });
+    merged++;
+  }
+  return merged;
+}
+
+// perfil: a conta vence; do anônimo só entra o que estiver vazio
+async function fillProfile(tx, fromId, toId) {
+  const [from, to] = await Promise.all([getProfile(fromId, { db: tx }), getProfile(toId, { db: tx })]);
+  const patch = {};
+  for (const k of ['level', 'theme', 'lang', 'defaultMateria', 'targetExam', 'targetExamDate']) {
+    if (!to[k] && from[k]) patch[k] = from[k];
+  }
+  if (!to.goals.length && from.goals.length) patch.goals = from.goals;
+  const persona = Object.fromEntries(Object.entries(from.persona).filter(([k]) => to.persona[k] === undefined));
+  if (Object.keys(persona).length) patch.persona = persona;
+  if (!Object.keys(patch).length) return [];
+  const out = await updateProfile(toId, patch, { db: tx });
+  if (out.error) {
+    console.warn('[merge] perfil anônimo ignorado:', out.issues);
+    return [];
+  }
+  return Object.keys(patch);
+}
+
+/**
+ * Passa tudo de `fromId` (anônimo) p/ `toId`. Quem chama garante que fromId é
+ * anônimo e pertence a quem pediu (lib/auth.js). → resumo do que foi movido
+ */
+async function mergeAccounts(fromId, toId) {
+  const from = String(fromId);
+  const to = String(toId);
+  if (from === to) throw new Error('merge: contas iguais');
+
+  await revokeAll(from, { reason: 'merge' });
+
+  let counts;
+  try {
+    counts = await prisma.$transaction(async (tx) => {
+      const where = { userId: from };
+      const decks = await moveDecks(tx, from, to);
+      const events = await tx.userEvent.updateMany({ where, data: { userId: to } });
+      const conversations = await tx.conversation.updateMany({ where, data: { userId: to } });
+      const boards = await tx.board.updateMany({ where, data: { userId: to } });
+      const usage = await tx.llmUsage.updateMany({ where, data: { userId: to } });
+      const feedback = await moveFeedback(tx, from, to);
+      const mastery = await moveMastery(tx, from, to);
+      const profile = await fillProfile(tx, from, to);
+      return {
+        events: events.count,
+        decks,
+        conversations: conversations.count,
+        boards: boards.count,
+        usage: usage.count,
+        feedback,
+        mastery,
+        profile,
+      };
+    }, { timeout: 60_000 });
+  } catch (e) {
+    // nada foi movido: o anônimo continua com as sessões (o app tenta de novo com o mesmo token)
+    await prisma.session.updateMany({
+      where: { userId: from, revokedReason: 'merge' },
+      data: { revokedAt: null, revokedReason: null },
+    }).catch(err => console.warn('[merge] falha ao restaurar sessões:', err?.message || err));
+    throw e;
+  }
+
+  await prisma.user.updateMany({ where: { id: from }, data: { mergedIntoId: to, mergedAt: new Date() } });
+  forgetUser(from);
+
+  return { from, to, ...counts };
+}
+
+module.exports = { mergeAccounts };
@@ -0,0 +1,229 @@
+// src/lib/auth.js
+'use strict';
+const jwt = require('jsonwebtoken');
+const { prisma } = require('./prisma');
+const { isSessionActive, hasSessions } = require('./sessions');
+
+// -----------------------------
+// Identidade por JWT (Authorization: Bearer <token>)
+// -----------------------------
+// O access token (routes/auth.js: login, /auth/anon, /auth/refresh) é curto
+// (JWT_ACCESS_EXPIRES_IN, 15m) e traz o usuário em `sub` e a sessão em `sid`
+// (lib/sessions.js): sessão revogada → 401 mesmo com o JWT no prazo.
+// Tokens antigos sem `sid` não têm como ser revogados: só valem os de conta anônima
+// (`anon`, de id ainda não cadastrado nem vinculado) e fora do modo strict.
+// Id anônimo vinculado a uma conta (lib/accountMerge.js) vira "lápide" (User.mergedIntoId):
+// não volta a valer, nem com token antigo nem sem token. O middleware
+// verifica o token, põe o id em req.userId e:
+//   - sem userId no body/query → preenche com o do token (o app pode parar de mandar)
+//   - userId diferente do token → 403
+// AUTH_MODE:
+//   strict        tudo exige token (menos as rotas públicas abaixo)
+//   transitional  (padrão) sem token só passa userId de conta anônima legada —
+//                 ids que vieram do /auth/anon antigo, sem email/username/phone/senha
+//                 e que nunca abriram sessão. Conta cadastrada ou id que já migrou
+//                 p/ os tokens (tem sessão) sem token → 401.
+//   off           não verifica nada (dev)
+// Rotas multipart (multer) só têm o body depois do upload: repetir `authUser`
+// depois do multer p/ conferir o userId do formulário.
+const MODES = ['strict', 'transitional', 'off'];
+const PUBLIC = [/^\/$/, /^\/health$/, /^\/ping$/, /^\/auth(\/|$)/, /^\/diag\//, /^\/feedback\/(moderation|report)(\/|$)/];
+
+function authMode() {
+  const m = String(process.env.AUTH_MODE || '').trim().toLowerCase();
+  return MODES.includes(m) ? m : 'transitional';
+}
+
+/** Configuração que impede subir a API (server.js confere no boot) → mensagem ou null */
+function authConfigError() {
+  if (process.env.JWT_SECRET || authMode() === 'off') return null;
+  return `JWT_SECRET não configurado (obrigatório com AUTH_MODE=${authMode()})`;
+}
+
+// segredo fixo só em dev (AUTH_MODE=off); fora disso sem JWT_SECRET não assina nem confere nada
+function secret() {
+  const err = authConfigError();
+  if (err) throw new Error(err);
+  return process.env.JWT_SECRET || 'dev_secret';
+}
+
+/** Access token. extra: { sid, anon } */
+function signToken(user, extra = {}) {
+  const payload = { sub: user.id, ...extra };
+  const expiresIn = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+  return jwt.sign(payload, secret(), { expiresIn });
+}
+
+/** → { sub, anon? } ou { error } */
+function verifyToken(token) {
+  const key = secret();
+  try {
+    const claims = jwt.verify(token, key);
+    if (!claims?.sub) return { error: 'token inválido' };
+    return claims;
+  } catch (e) {
+    return { error: e?.name === 'TokenExpiredError' ? 'token expirado' : 'token inválido' };
+  }
+}
+
+function bearerOf(req) {
+  const m = String(req.get('authorization') || '').match(/^Bearer\s+(.+)$/i);
+  return m ? m[1].trim() : null;
+}
+
+// conta cadastrada = tem alguma credencial; "casca" criada por ensureUser p/ id anônimo não tem.
+// vinculada = id anônimo que já passou p/ uma conta (mergedIntoId)
+const REGISTERED_TTL_MS = 5 * 60_000;
+const registeredCache = new Map(); // userId -> { registered, merged, at }
+
+async function accountOf(userId) {
+  const key = String(userId);
+  const hit = registeredCache.get(key);
+  if (hit && Date.now() - hit.at < REGISTERED_TTL_MS) return hit;
+  const u = await prisma.user.findUnique({
+    where: { id: key },
+    select: { email: true, username: true, phone: true, passwordHash: true, mergedIntoId: true },
+  });
+  const registered = !!(u && (u.email || u.username || u.phone || u.passwordHash));
+  const merged = !!u?.mergedIntoId;
+  if (registeredCache.size > 5000) registeredCache.clear();
+  const out = { registered, merged, at: Date.now() };
+  registeredCache.set(key, out);
+  return out;
+}
+
+async function isRegistered(userId) {
+  return (await accountOf(userId)).registered;
+}
+
+async function isMerged(userId) {
+  return (await accountOf(userId)).merged;
+}
+
+function forgetUser(userId) {
+  registeredCache.delete(String(userId));
+}
+
+// userId vindo da requisição (query e body; os dois precisam bater se vierem)
+function claimedIds(req) {
+  return [req.query?.userId, req.body?.userId]
+    .filter(v => v !== undefined && v !== null && v !== '')
+    .map(String);
+}
+
+// Express 5: req.query é getter (reparseia a cada acesso) → sobrescreve com propriedade própria
+function injectUserId(req, userId) {
+  if (req.query?.userId === undefined) {
+    Object.defineProperty(req, 'query', { value: { ...req.query, userId }, writable: true, configurable: true });
+  }
+  if (req.body && typeof req.body === 'object' && !Array.isArray(req.body) && req.body.userId === undefined) {
+    req.body.userId = userId;
+  } else if (req.body === undefined) {
+    req.body = { userId };
+  }
+}
+
+/** Bearer da requisição → req.auth ({ userId, sid, anon } ou null sem token). → { error } se inválido */
+async function authenticate(req) {
+  if (req.auth !== undefined) return {};
+  const token = bearerOf(req);
+  if (!token) {
+    req.auth = null;
+    return {};
+  }
+  const claims = verifyToken(token);
+  if (claims.error) return { error: claims.error };
+  if (claims.sid) {
+    if (!await isSessionActive(claims.sid, claims.sub)) return { error: 'sessão encerrada' };
+  } else if (!claims.anon || authMode() === 'strict' || await isRegistered(claims.sub) || await isMerged(claims.sub)) {
+    return { error: 'token inválido' };
+  }
+  req.auth = { userId: String(claims.sub), sid: claims.sid || null, anon: !!claims.anon };
+  return {};
+}
+
+/** Middleware de identidade (ver topo). Pode rodar de novo na mesma requisição (depois do multer). */
+async function authUser(req, res, next) {
+  try {
+    const mode = authMode();
+    if (mode === 'off' || req.method === 'OPTIONS' || PUBLIC.some(re => re.test(req.path))) return next();
+
+    const { error } = await authenticate(req);
+    if (error) return res.status(401).json({ error });
+
+    const claimed = claimedIds(req);
+    if (req.auth) {
+      if (claimed.some(id => id !== req.auth.userId)) {
+        return res.status(403).json({ error: 'userId não confere com o token' });
+      }
+      req.userId = req.auth.userId;
+      injectUserId(req, req.userId);
+      return next();
+    }
+
+    if (mode === 'strict') return res.status(401).json({ error: 'token obrigatório' });
+    // transitional: sem token, só id anônimo legado (e um só) que ainda não migrou nem foi vinculado
+    if (new Set(claimed).size > 1) return res.status(403).json({ error: 'userId não confere' });
+    if (claimed.length && (await isRegistered(claimed[0]) || await isMerged(claimed[0]) || await hasSessions(claimed[0]))) {
+      return res.status(401).json({ error: 'token obrigatório' });
+    }
+    if (claimed.length) req.userId = claimed[0];
+    return next();
+  } catch (e) {
+    console.error('authUser error', e);
+    return res.status(500).json({ error: 'erro interno' });
+  }
+}
+
+/**
+ * Id anônimo que o cliente prova ser seu (vínculo com a conta, lib/accountMerge.js):
+ * anonToken (access token do /auth/anon, com sessão ativa) ou, fora do modo strict,
+ * o anonUserId legado — só de id que nunca teve sessão; depois disso o id sozinho
+ * não prova nada (quem migrou tem o token).
+ * → { userId } ou { status, error }
+ */
+async function resolveAnonId({ anonToken, anonUserId } = {}) {
+  let id;
+  if (anonToken) {
+    const claims = verifyToken(String(anonToken));
+    if (claims.error) return { status: 401, error: claims.error };
+    if (!claims.anon || !claims.sid) return { status: 401, error: 'anonToken inválido' };
+    if (!await isSessionActive(claims.sid, claims.sub)) return { status: 401, error: 'sessão encerrada' };
+    id = String(claims.sub);
+  } else if (anonUserId) {
+    if (authMode() === 'strict') return { status: 403, error: 'ids legados não são aceitos (AUTH_MODE=strict)' };
+    id = String(anonUserId).trim();
+    if (id && await hasSessions(id)) return { status: 403, error: 'id já migrado: envie o anonToken' };
+  }
+  if (!id) return { status: 400, error: 'anonToken ou anonUserId é obrigatório' };
+  if (await isRegistered(id)) return { status: 403, error: 'conta cadastrada não pode ser vinculada' };
+  if (await isMerged(id)) return { status: 403, error: 'id já vinculado a uma conta' };
+  return { userId: id };
+}
+
+/** P/ rotas públicas que precisam do dono (/auth/sessions, /auth/password…): exige o Bearer. */
+async function requireToken(req, res, next) {
+  try {
+    const { error } = await authenticate(req);
+    if (error || !req.auth) return res.status(401).json({ error: error || 'token obrigatório' });
+    req.userId = req.auth.userId;
+    next();
+  } catch (e) {
+    console.error('requireToken error', e);
+    return res.status(500).json({ error: 'erro interno' });
+  }
+}
+
+module.exports = {
+  authMode,
+  authConfigError,
+  signToken,
+  verifyToken,
+  authenticate,
+  isRegistered,
+  isMerged,
+  forgetUser,
+  resolveAnonId,
+  authUser,
+  requireToken,
+};
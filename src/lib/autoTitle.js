@@ -0,0 +1,61 @@
+// src/lib/autoTitle.js
+'use strict';
+const { askLLM } = require('../llm');
+const { enqueueLLM } = require('./llmQueue');
+const { trackUsage } = require('./usage');
+const { prisma } = require('./prisma');
+const { setAutoTitle } = require('./chatStore');
+const { langInfo, langRule } = require('./i18n');
+
+// Título local (fallback): começo da pergunta, cortado em fronteira de palavra.
+function localTitle(question = '') {
+  const clean = String(question).replace(/\s+/g, ' ').replace(/[?!.:;]+$/g, '').trim();
+  if (!clean) return 'Conversa';
+  if (clean.length <= 48) return clean;
+  const cut = clean.slice(0, 48);
+  return `${cut.slice(0, cut.lastIndexOf(' ') > 20 ? cut.lastIndexOf(' ') : 48)}…`;
+}
+
+function sanitizeTitle(raw) {
+  const t = String(raw || '')
+    .split(/\r?\n/)[0]
+    .replace(/^["'“”*#\s]+|["'“”*.\s]+$/g, '')
+    .replace(/^t[íi]tulo:\s*/i, '')
+    .trim();
+  return t.length >= 3 ? t.slice(0, 80) : null;
+}
+
+/**
+ * Dá título à conversa a partir da primeira troca (ou da próxima, se ainda não tem).
+ * Roda em segundo plano, com prioridade baixa na fila; falha → título local.
+ */
+async function maybeAutoTitle({ userId, conversationId, question, answer, lang }) {
+  const convo = await prisma.conversation.findUnique({
+    where: { id: String(conversationId) },
+    select: { title: true, titleLocked: true },
+  });
+  if (!convo || convo.title || convo.titleLocked) return null;
+
+  let title = null;
+  try {
+    const out = await enqueueLLM(() => askLLM({
+      system: [
+        `Você cria títulos curtos (até 6 palavras) em ${langInfo(lang).prompt} para conversas de estudo. Responda só o título, sem aspas nem ponto final.`,
+        langRule(lang),
+      ].filter(Boolean).join('\n'),
+      user: `PERGUNTA: ${String(question || '').slice(0, 400)}\nRESPOSTA: ${String(answer || '').slice(0, 600)}`,
+      max_tokens: 20,
+      temperature: 0.2,
+      onUsage: trackUsage(userId, '/conversations/title'),
+    }), { userId, priority: 'background' });
+    if (typeof out === 'string') title = sanitizeTitle(out);
+  } catch (e) {
+    console.warn('[autoTitle] LLM indisponível, usando título local:', e?.code || e?.message || e);
+  }
+
+  title = title || localTitle(question);
+  await setAutoTitle(conversationId, title);
+  return title;
+}
+
+module.exports = { maybeAutoTitle, localTitle };
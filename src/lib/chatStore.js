@@ -0,0 +1,374 @@
+// src/lib/chatStore.js
+'use strict';
+const { v4: uuid } = require('uuid');
+const { prisma } = require('./prisma');
+
+// -----------------------------
+// Chat persistido em Conversation/Message
+// -----------------------------
+// Ids anônimos (POST /auth/anon) não têm linha em User, mas Conversation.userId
+// é FK → criamos um User "casca" só com o id na primeira conversa.
+async function ensureUser(userId) {
+  await prisma.user.upsert({
+    where: { id: String(userId) },
+    create: { id: String(userId) },
+    update: {},
+  });
+}
+
+/**
+ * Conversa do usuário por id; cria se não existir.
+ * Aceita ids vindos do cliente (legado: o app gerava conversationId local).
+ * Sem `title` a conversa nasce sem título e recebe auto-título na 1ª troca;
+ * com `title` (usuário escolheu) o título fica travado.
+ * Retorna null se o id pertence a outro usuário.
+ */
+async function getOrCreateConversation({ userId, conversationId, title }) {
+  if (conversationId) {
+    const found = await prisma.conversation.findUnique({ where: { id: String(conversationId) } });
+    if (found) return found.userId === String(userId) ? found : null;
+  }
+  await ensureUser(userId);
+  try {
+    return await prisma.conversation.create({
+      data: {
+        ...(conversationId ? { id: String(conversationId) } : {}),
+        userId: String(userId),
+        ...(title ? { title: String(title).slice(0, 120), titleLocked: true } : {}),
+      },
+    });
+  } catch (e) {
+    // 1ª mensagem em paralelo com o mesmo id do cliente: a outra requisição criou antes
+    if (e?.code !== 'P2002' || !conversationId) throw e;
+    const found = await prisma.conversation.findUnique({ where: { id: String(conversationId) } });
+    return found && found.userId === String(userId) ? found : null;
+  }
+}
+
+async function getConversation(userId, id) {
+  const c = await prisma.conversation.findUnique({ where: { id: String(id) } });
+  return c && c.userId === String(userId) ? c : null;
+}
+
+// paginação por cursor (id do último item da página anterior); pede 1 a mais p/ saber se há próxima
+function pageOf(rows, limit) {
+  const hasMore = rows.length > limit;
+  const items = hasMore ? rows.slice(0, limit) : rows;
+  return { items, nextCursor: hasMore ? items[items.length - 1].id : null };
+}
+
+/** Conversas mais recentes primeiro. → { items, nextCursor } */
+async function listConversations(userId, { limit = 30, cursor } = {}) {
+  const take = Math.min(100, Math.max(1, Number(limit) || 30));
+  const rows = await prisma.conversation.findMany({
+    where: { userId: String(userId) },
+    orderBy: [{ updatedAt: 'desc' }, { id: 'desc' }],
+    take: take + 1,
+    ...(cursor ? { cursor: { id: String(cursor) }, skip: 1 } : {}),
+    select: {
+      id: true, title: true, forkedFromId: true, createdAt: true, updatedAt: true,
+      _count: { select: { messages: true } },
+    },
+  });
+  return pageOf(rows, take);
+}
+
+/**
+ * Mensagens da conversa, paginando para trás (mais antigas).
+ * Página volta em ordem cronológica; nextCursor = id da mais antiga da página.
+ */
+async function listMessages(conversationId, { limit = 30, cursor } = {}) {
+  const take = Math.min(100, Math.max(1, Number(limit) || 30));
+  const rows = await prisma.message.findMany({
+    where: { conversationId: String(conversationId), supersededAt: null },
+    orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+    take: take + 1,
+    ...(cursor ? { cursor: { id: String(cursor) }, skip: 1 } : {}),
+    select: {
+      id: true, role: true, content: true, favorite: true, vote: true,
+      meta: true, replyToId: true, version: true, createdAt: true,
+    },
+  });
+  const page = pageOf(rows, take);
+  return { items: page.items.reverse(), nextCursor: page.nextCursor };
+}
+
+async function renameConversation(userId, id, title) {
+  const c = await getConversation(userId, id);
+  if (!c) return null;
+  return prisma.conversation.update({
+    where: { id: c.id },
+    data: { title: String(title).slice(0, 120), titleLocked: true },
+  });
+}
+
+/** Grava o auto-título, só se o usuário não nomeou a conversa nesse meio-tempo. */
+async function setAutoTitle(id, title) {
+  const { count } = await prisma.conversation.updateMany({
+    where: { id: String(id), titleLocked: false },
+    data: { title: String(title).slice(0, 120) },
+  });
+  return count > 0;
+}
+
+async function deleteConversation(userId, id) {
+  const c = await getConversation(userId, id);
+  if (!c) return false;
+  await prisma.conversation.delete({ where: { id: c.id } }); // messages caem em cascata
+  return true;
+}
+
+/**
+ * Últimas `limit` mensagens (versões atuais), em ordem cronológica, no formato de history do /chat.
+ * `before`: só o que veio antes dessa data (regenerar/editar uma troca do meio).
+ */
+async function loadHistory(conversationId, limit = 12, { before } = {}) {
+  const rows = await prisma.message.findMany({
+    where: {
+      conversationId: String(conversationId),
+      role: { in: ['user', 'assistant'] },
+      supersededAt: null,
+      ...(before ? { createdAt: { lt: before } } : {}),
+    },
+    orderBy: { createdAt: 'desc' },
+    take: limit,
+    select: { id: true, role: true, content: true, conversationId: true, createdAt: true },
+  });
+  return rows.reverse();
+}
+
+/**
+ * Grava pergunta + resposta (numa transação). `answerId` é o historyId que vai ao cliente.
+ * meta (nivel, materia, mode, anexos…) vai nas duas mensagens.
+ */
+async function appendExchange({ conversationId, question, answer, answerId, meta = {} }) {
+  const now = Date.now();
+  // tudo ou nada: sem pergunta órfã se a resposta falhar
+  return prisma.$transaction(async (tx) => {
+    const userMsg = await tx.message.create({
+      data: {
+        conversationId: String(conversationId),
+        role: 'user',
+        content: String(question || ''),
+        meta,
+        createdAt: new Date(now),
+      },
+    });
+    const assistantMsg = await tx.message.create({
+      data: {
+        ...(answerId ? { id: String(answerId) } : {}),
+        conversationId: String(conversationId),
+        role: 'assistant',
+        content: String(answer || ''),
+        replyToId: userMsg.id,
+        meta,
+        createdAt: new Date(now + 1), // garante a ordem pergunta → resposta
+      },
+    });
+    // mexe em updatedAt p/ a conversa subir na lista
+    await tx.conversation.update({ where: { id: String(conversationId) }, data: { updatedAt: new Date() } });
+    return { userMessage: userMsg, assistantMessage: assistantMsg };
+  });
+}
+
+/**
+ * Nova versão da resposta a `questionId`; a atual vira histórico (supersededAt).
+ * Fica no mesmo lugar da conversa (createdAt = pergunta + 1ms).
+ */
+async function addAnswerVersion({ questionId, answer, answerId, meta = {} }) {
+  return prisma.$transaction(async (tx) => {
+    // trava a pergunta: dois regenerate ao mesmo tempo leriam o mesmo "último + 1"
+    // (read committed) e criariam duas versões atuais; o segundo espera o primeiro
+    await tx.$queryRaw`SELECT id FROM "Message" WHERE id = ${String(questionId)} FOR UPDATE`;
+    const question = await tx.message.findUnique({ where: { id: String(questionId) } });
+    const last = await tx.message.findFirst({
+      where: { replyToId: question.id, role: 'assistant' },
+      orderBy: { version: 'desc' },
+      select: { version: true },
+    });
+    await tx.message.updateMany({
+      where: { replyToId: question.id, role: 'assistant', supersededAt: null },
+      data: { supersededAt: new Date() },
+    });
+    const created = await tx.message.create({
+      data: {
+        ...(answerId ? { id: String(answerId) } : {}),
+        conversationId: question.conversationId,
+        role: 'assistant',
+        content: String(answer || ''),
+        replyToId: question.id,
+        meta,
+        version: (last?.version || 0) + 1,
+        createdAt: new Date(question.createdAt.getTime() + 1),
+      },
+    });
+    await tx.conversation.update({ where: { id: question.conversationId }, data: { updatedAt: new Date() } });
+    return created;
+  });
+}
+
+/** Todas as versões da resposta a uma pergunta (aceita o id da pergunta ou de qualquer versão). */
+async function listAnswerVersions(userId, id) {
+  const m = await findOwnMessage(userId, id);
+  if (!m) return null;
+  const questionId = m.role === 'user' ? m.id : m.replyToId;
+  if (!questionId) return null;
+  const versions = await prisma.message.findMany({
+    where: { replyToId: questionId, role: 'assistant' },
+    orderBy: { version: 'asc' },
+    select: { id: true, content: true, version: true, supersededAt: true, createdAt: true },
+  });
+  return {
+    questionId,
+    versions: versions.map(({ supersededAt, ...v }) => ({ ...v, current: !supersededAt })),
+  };
+}
+
+/**
+ * Ramo da conversa: nova conversa com as mensagens (versões atuais) anteriores a
+ * `beforeMessageId`. A original não muda; cada ramo segue com o próprio contexto.
+ */
+async function forkConversation({ userId, conversationId, beforeMessageId }) {
+  return prisma.$transaction(async (tx) => {
+    const src = await tx.conversation.findUnique({ where: { id: String(conversationId) } });
+    if (!src || src.userId !== String(userId)) return null;
+    const pivot = await tx.message.findUnique({ where: { id: String(beforeMessageId) } });
+    if (!pivot || pivot.conversationId !== src.id) return null;
+
+    const rows = await tx.message.findMany({
+      where: { conversationId: src.id, supersededAt: null, createdAt: { lt: pivot.createdAt } },
+      orderBy: { createdAt: 'asc' },
+    });
+    const fork = await tx.conversation.create({
+      data: {
+        userId: src.userId,
+        title: src.title,
+        titleLocked: src.titleLocked,
+        forkedFromId: src.id,
+        forkedFromMessageId: pivot.id,
+        tutorState: src.tutorState ?? undefined, // modo guia segue o problema em andamento
+        // o resumo só vale no ramo se não cobre nada do ponto de edição em diante
+        ...(src.summaryUntil && src.summaryUntil < pivot.createdAt
+          ? { summary: src.summary, summaryUntil: src.summaryUntil }
+          : {}),
+      },
+    });
+    // ids gerados aqui → replyToId já aponta p/ a cópia e vai tudo num createMany só
+    const idMap = new Map(rows.map(m => [m.id, uuid()]));
+    if (rows.length) {
+      await tx.message.createMany({
+        data: rows.map(m => ({
+          id: idMap.get(m.id),
+          conversationId: fork.id,
+          role: m.role,
+          content: m.content,
+          favorite: m.favorite,
+          meta: m.meta ?? undefined,
+          replyToId: m.replyToId ? idMap.get(m.replyToId) ?? null : null,
+          createdAt: m.createdAt,
+        })),
+      });
+    }
+    return fork;
+  }, { timeout: 30_000 });
+}
+
+// Resposta do assistente no formato legado de evento "chat" (para /history)
+function toHistoryItem(userId, m) {
+  const meta = m.meta || {};
+  return {
+    id: m.id,
+    userId,
+    type: 'chat',
+    payload: {
+      ...meta,
+      question: m.replyTo?.content || '',
+      answer: m.content,
+      favorite: m.favorite,
+      conversationId: m.conversationId,
+      conversationTitle: m.conversation?.title || null,
+    },
+    createdAt: m.createdAt.toISOString(),
+  };
+}
+
+/** Respostas do assistente do usuário (mais recentes primeiro), formato /history. */
+async function listChatItems(userId, limit = 50) {
+  const rows = await prisma.message.findMany({
+    where: { role: 'assistant', supersededAt: null, conversation: { userId: String(userId) } },
+    orderBy: { createdAt: 'desc' },
+    take: Number(limit) || 50,
+    include: { replyTo: { select: { content: true } }, conversation: { select: { title: true } } },
+  });
+  return rows.map(m => toHistoryItem(userId, m));
+}
+
+/** Mensagem (de qualquer papel) numa conversa do usuário, ou null. */
+async function findOwnMessage(userId, id) {
+  const m = await prisma.message.findUnique({
+    where: { id: String(id) },
+    include: {
+      conversation: { select: { id: true, userId: true, title: true, summary: true, summaryUntil: true, tutorState: true } },
+      replyTo: { select: { content: true, createdAt: true, meta: true } },
+    },
+  });
+  if (!m || m.conversation.userId !== String(userId)) return null;
+  return m;
+}
+
+/** Id da resposta (versão atual) mais recente da conversa, ou null. */
+async function lastAnswerId(conversationId) {
+  const m = await prisma.message.findFirst({
+    where: { conversationId: String(conversationId), role: 'assistant', supersededAt: null },
+    orderBy: { createdAt: 'desc' },
+    select: { id: true },
+  });
+  return m?.id || null;
+}
+
+/** Mensagem do assistente do usuário (ou null). */
+async function findAssistantMessage(userId, id) {
+  const m = await findOwnMessage(userId, id);
+  return m && m.role === 'assistant' ? m : null;
+}
+
+async function setMessageFavorite(userId, id, favorite) {
+  const m = await findAssistantMessage(userId, id);
+  if (!m) return false;
+  await prisma.message.update({ where: { id: m.id }, data: { favorite: Boolean(favorite) } });
+  return true;
+}
+
+/** Remove a resposta (com as outras versões) e a pergunta que a originou. */
+async function removeExchange(userId, id) {
+  const m = await findAssistantMessage(userId, id);
+  if (!m) return 0;
+  const { count } = await prisma.message.deleteMany({
+    where: m.replyToId
+      ? { OR: [{ id: m.id }, { id: m.replyToId }, { replyToId: m.replyToId }] }
+      : { id: m.id },
+  });
+  return count;
+}
+
+module.exports = {
+  ensureUser,
+  getOrCreateConversation,
+  getConversation,
+  listConversations,
+  listMessages,
+  renameConversation,
+  setAutoTitle,
+  deleteConversation,
+  loadHistory,
+  appendExchange,
+  addAnswerVersion,
+  listAnswerVersions,
+  forkConversation,
+  listChatItems,
+  findOwnMessage,
+  findAssistantMessage,
+  lastAnswerId,
+  setMessageFavorite,
+  removeExchange,
+};
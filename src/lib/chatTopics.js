@@ -0,0 +1,97 @@
+// src/lib/chatTopics.js
+'use strict';
+const { askLLM } = require('../llm');
+const { enqueueLLM } = require('./llmQueue');
+const { trackUsage } = require('./usage');
+const { prisma } = require('./prisma');
+const { ingest: ingestMastery, normKey } = require('./mastery');
+const { langInfo, langRule } = require('./i18n');
+
+// -----------------------------
+// Tópico de cada pergunta do chat → sinais p/ o domínio do aluno
+// -----------------------------
+// Depois de cada troca (segundo plano, prioridade "background") o LLM dá um
+// rótulo curto p/ o assunto da pergunta; ele vai em meta.topic da pergunta e
+// da resposta (os votos e o "regenerar" usam o da resposta).
+// Perguntar de novo o mesmo tópico em REPEAT_WINDOW_DAYS conta como dificuldade.
+const REPEAT_WINDOW_DAYS = 30;
+const REPEAT_LOOKBACK = 300;
+
+function sanitizeTopic(raw) {
+  const t = String(raw || '')
+    .split(/\r?\n/)[0]
+    .replace(/^["'“”*#\-\s]+|["'“”*.\s]+$/g, '')
+    .replace(/^t[óo]pico:\s*/i, '')
+    .trim();
+  return t.length >= 3 && t.split(/\s+/).length <= 6 ? t.slice(0, 60) : null;
+}
+
+async function mergeMeta(id, patch) {
+  const m = await prisma.message.findUnique({ where: { id: String(id) }, select: { meta: true } });
+  if (!m) return;
+  await prisma.message.update({ where: { id: String(id) }, data: { meta: { ...(m.meta || {}), ...patch } } });
+}
+
+/** Quantas perguntas anteriores do aluno (na janela) já tinham este tópico. */
+async function countPriorAsks(userId, topicKey, exceptId) {
+  const since = new Date(Date.now() - REPEAT_WINDOW_DAYS * 86_400_000);
+  const rows = await prisma.message.findMany({
+    where: {
+      role: 'user',
+      createdAt: { gte: since },
+      conversation: { userId: String(userId) },
+      NOT: { id: String(exceptId) },
+    },
+    orderBy: { createdAt: 'desc' },
+    take: REPEAT_LOOKBACK,
+    select: { meta: true },
+  });
+  return rows.filter(r => r.meta?.topicKey === topicKey).length;
+}
+
+/**
+ * Rotula o tópico da pergunta e registra os sinais (pergunta e, se for o caso,
+ * pergunta repetida). Sem rótulo → só o sinal da matéria.
+ */
+async function tagChatTopic({ userId, answerId, question, materia = 'geral', lang }) {
+  const answer = await prisma.message.findUnique({
+    where: { id: String(answerId) },
+    select: { id: true, replyToId: true },
+  });
+  if (!answer) return null;
+
+  let topic = null;
+  try {
+    const out = await enqueueLLM(() => askLLM({
+      system: [
+        `Você classifica perguntas de estudantes. Responda só o tópico da pergunta em 2 a 5 palavras (${langInfo(lang).prompt}), sem pontuação final. Ex.: "Equação do 2º grau", "Fases da mitose".`,
+        langRule(lang),
+      ].filter(Boolean).join('\n'),
+      user: `Matéria: ${materia}\nPergunta: ${String(question || '').slice(0, 500)}`,
+      max_tokens: 16,
+      temperature: 0,
+      onUsage: trackUsage(userId, '/chat/topic'),
+    }), { userId, priority: 'background' });
+    if (typeof out === 'string') topic = sanitizeTopic(out);
+  } catch (e) {
+    console.warn('[chatTopics] LLM indisponível:', e?.code || e?.message || e);
+  }
+
+  if (!topic) {
+    if (materia !== 'geral') ingestMastery({ userId, materia, source: 'chat' });
+    return null;
+  }
+
+  const topicKey = normKey(topic);
+  await mergeMeta(answer.id, { topic, topicKey });
+  if (answer.replyToId) await mergeMeta(answer.replyToId, { topic, topicKey });
+
+  const prior = answer.replyToId ? await countPriorAsks(userId, topicKey, answer.replyToId) : 0;
+  ingestMastery([
+    { userId, materia, topic, source: 'chat' },
+    prior > 0 && { userId, materia, topic, source: 'chat_repeat' },
+  ]);
+  return topic;
+}
+
+module.exports = { tagChatTopic, sanitizeTopic };
@@ -0,0 +1,149 @@
+// src/lib/feedbackReport.js
+'use strict';
+const { prisma } = require('./prisma');
+const { listVotes } = require('./feedbackStore');
+const { normKey } = require('./mastery');
+
+// -----------------------------
+// Relatórios de aprovação (votos 👍/👎)
+// -----------------------------
+// Cada voto aponta p/ um historyId: resposta do chat (Message.id ou o
+// historyId legado) ou um evento (plano, resumo…). O relatório busca o que foi
+// gravado junto (meta da mensagem / payload do evento) e agrega por dimensão:
+//   kind    'chat' | tipo do evento ('plan', 'summary', …)
+//   mode    explicar, exercicios, guia… (eventos: o próprio tipo)
+//   materia, nivel
+//   model   modelo que respondeu (meta.model)
+//   prompt  versão do template ("tutor@v2", ver lib/prompts.js)
+const DIMENSIONS = ['kind', 'mode', 'materia', 'nivel', 'model', 'prompt'];
+const INTERVALS = ['day', 'week', 'month'];
+const NONE = '(sem dado)';
+const CHUNK = 500;
+
+function dimsOfMessage(meta = {}) {
+  return {
+    kind: 'chat',
+    mode: meta.mode,
+    materia: meta.materia,
+    nivel: meta.nivel,
+    model: meta.model,
+    prompt: meta.prompt,
+  };
+}
+
+function dimsOfEvent(ev) {
+  const p = ev.payload || {};
+  return {
+    kind: ev.type,
+    mode: p.mode || ev.type,
+    materia: p.materia,
+    nivel: p.nivel ?? p.input?.nivel,
+    model: p.model,
+    prompt: p.prompt,
+  };
+}
+
+/** historyId → dimensões (mensagens primeiro; o que sobrar, eventos). */
+async function loadTargets(ids) {
+  const out = new Map();
+  for (let i = 0; i < ids.length; i += CHUNK) {
+    const part = ids.slice(i, i + CHUNK);
+    const msgs = await prisma.message.findMany({
+      where: { OR: [{ id: { in: part } }, { historyId: { in: part } }] },
+      select: { id: true, historyId: true, meta: true },
+    });
+    for (const m of msgs) {
+      const dims = dimsOfMessage(m.meta || {});
+      out.set(m.id, dims);
+      if (m.historyId) out.set(m.historyId, dims);
+    }
+    const rest = part.filter(id => !out.has(id));
+    if (!rest.length) continue;
+    const evs = await prisma.event.findMany({
+      where: { id: { in: rest } },
+      select: { id: true, type: true, payload: true },
+    });
+    for (const ev of evs) out.set(ev.id, dimsOfEvent(ev));
+  }
+  return out;
+}
+
+// início do intervalo (UTC): dia AAAA-MM-DD, semana = segunda-feira, mês AAAA-MM
+function bucketOf(date, interval) {
+  const d = new Date(date);
+  if (interval === 'month') return d.toISOString().slice(0, 7);
+  if (interval === 'week') {
+    const monday = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() - ((d.getUTCDay() + 6) % 7)));
+    return monday.toISOString().slice(0, 10);
+  }
+  return d.toISOString().slice(0, 10);
+}
+
+function rate(up, down) {
+  const total = up + down;
+  return { up, down, total, approval: total ? Math.round((up / total) * 1000) / 1000 : null };
+}
+
+/**
+ * Aprovação agregada por `by` (uma ou mais dimensões) na janela [since, until).
+ * `interval` (day|week|month) acrescenta a série temporal de cada grupo.
+ * `sort`: 'total' (padrão) ou 'approval' (piores primeiro).
+ */
+async function buildReport({ by = ['mode'], since, until, interval, userId, minVotes = 1, sort = 'total' } = {}) {
+  const votes = await listVotes({ since, until, userId });
+
+  const targets = await loadTargets([...new Set(votes.map(v => String(v.historyId)))]);
+  const groups = new Map();
+  let unmatched = 0;
+
+  for (const v of votes) {
+    const dims = targets.get(String(v.historyId));
+    if (!dims) unmatched++;
+    const values = by.map(dim => {
+      const raw = dims?.[dim];
+      return raw === undefined || raw === null || raw === '' ? NONE : String(raw);
+    });
+    // matéria: "Matemática" e "matematica" são o mesmo grupo (rótulo = o 1º visto)
+    const key = values.map((val, i) => (by[i] === 'materia' ? normKey(val) : val)).join('|');
+
+    let g = groups.get(key);
+    if (!g) {
+      g = { dims: Object.fromEntries(by.map((dim, i) => [dim, values[i]])), up: 0, down: 0, series: new Map() };
+      groups.set(key, g);
+    }
+    g[v.vote]++;
+    if (interval) {
+      const b = bucketOf(v.updatedAt || v.createdAt, interval);
+      const s = g.series.get(b) || { up: 0, down: 0 };
+      s[v.vote]++;
+      g.series.set(b, s);
+    }
+  }
+
+  const rows = [...groups.values()]
+    .map(g => ({
+      ...g.dims,
+      ...rate(g.up, g.down),
+      ...(interval ? {
+        series: [...g.series.entries()]
+          .sort(([a], [b]) => a.localeCompare(b))
+          .map(([start, s]) => ({ start, ...rate(s.up, s.down) })),
+      } : {}),
+    }))
+    .filter(r => r.total >= minVotes)
+    .sort(sort === 'approval'
+      ? (a, b) => a.approval - b.approval || b.total - a.total
+      : (a, b) => b.total - a.total);
+
+  const up = votes.filter(v => v.vote === 'up').length;
+  return {
+    by,
+    window: { since: since || null, until: until || null },
+    interval: interval || null,
+    overall: rate(up, votes.length - up),
+    unmatched,
+    groups: rows,
+  };
+}
+
+module.exports = { DIMENSIONS, INTERVALS, buildReport };
@@ -1,77 +1,190 @@
-const fs = require('fs');
-const path = require('path');
+// src/lib/feedbackStore.js
+'use strict';
+const { prisma } = require('./prisma');
+const { ensureUser } = require('./chatStore');
 
-const DB_FILE = path.join(__dirname, '..', 'data', 'feedback.json');
+// -----------------------------
+// Votos 👍/👎 na tabela Feedback
+// -----------------------------
+// Um voto por (userId, historyId). historyId = o id que o app recebeu: resposta
+// do chat (Message.id ou o historyId legado) ou evento (plano, resumo…).
+// Quando é mensagem, messageId aponta p/ ela e o voto do dono da conversa
+// também fica em Message.vote (a listagem de mensagens mostra). Voto em mensagem
+// usa a chave (userId, messageId) e grava historyId = Message.id: votar pelo id
+// legado ou pelo novo cai no mesmo registro.
+// Antes os votos ficavam em src/data/feedback.json — importar com
+// `npm run import:feedback` (scripts/import-feedback.js).
+// Junto do voto (ou sem ele): motivos, comentário e denúncia ("report"), que
+// cai na fila de moderação (listReports) com status aberto → resolvido|descartado.
+const REASONS = ['resposta_errada', 'muito_longa', 'nivel_errado', 'ofensiva', 'imagem_nao_entendida'];
+const REPORT_STATUS = ['aberto', 'resolvido', 'descartado'];
 
-// cache em memória
-let state = { votes: [] };
-// serializa gravações pra evitar race condition
-let writing = Promise.resolve();
-
-function loadOnce() {
-  if (loadOnce._loaded) return;
-  try {
-    const txt = fs.readFileSync(DB_FILE, 'utf8');
-    state = JSON.parse(txt);
-  } catch {
-    // se não existir, cria vazio
-    state = { votes: [] };
-    fs.mkdirSync(path.dirname(DB_FILE), { recursive: true });
-    fs.writeFileSync(DB_FILE, JSON.stringify(state, null, 2));
-  }
-  loadOnce._loaded = true;
+/** Mensagem votada (por id ou historyId legado) + dono da conversa. */
+async function findVotedMessage(historyId) {
+  return prisma.message.findFirst({
+    where: { OR: [{ id: String(historyId) }, { historyId: String(historyId) }] },
+    select: { id: true, conversation: { select: { userId: true } } },
+  });
 }
 
-function save() {
-  // enfileira a escrita pra evitar corrupção do arquivo
-  writing = writing.then(() => new Promise((resolve, reject) => {
-    fs.writeFile(DB_FILE, JSON.stringify(state, null, 2), (err) => {
-      if (err) reject(err);
-      else resolve();
-    });
-  })).catch(() => {});
-  return writing;
+// chave única do voto: mensagem → (userId, messageId); senão (userId, historyId)
+function voteKey(userId, historyId, msg) {
+  return msg
+    ? { userId_messageId: { userId, messageId: msg.id } }
+    : { userId_historyId: { userId, historyId } };
 }
 
-function key(userId, historyId) {
-  return `${String(userId)}|${String(historyId)}`;
+/** Voto atual do aluno nesse item (id legado ou novo, tanto faz). null se não votou. */
+async function findVote(userId, historyId) {
+  const msg = await findVotedMessage(historyId);
+  return prisma.feedback.findUnique({
+    where: voteKey(String(userId), String(historyId), msg),
+    select: { vote: true, updatedAt: true },
+  });
 }
 
-function setVote({ userId, historyId, vote }) {
-  loadOnce();
-  const k = key(userId, historyId);
-  const now = new Date().toISOString();
+async function syncMessageVote(msg, userId, vote) {
+  if (!msg || msg.conversation?.userId !== String(userId)) return;
+  await prisma.message.update({ where: { id: msg.id }, data: { vote } });
+}
 
-  // procura existente
-  const idx = state.votes.findIndex(v => key(v.userId, v.historyId) === k);
+/**
+ * Grava/troca/remove o voto. vote 'none' (ou vazio sem motivos/comentário/denúncia) remove.
+ * reasons/comment só mudam se vierem; report=true (re)abre a denúncia.
+ * createdAt/updatedAt (opcionais) preservam as datas originais — usados pelo importador.
+ * Devolve o voto anterior ('up' | 'down' | null) — quem chama sabe se o voto mudou.
+ */
+async function setVote({ userId, historyId, vote, reasons, comment, report = false, createdAt, updatedAt }) {
+  const uid = String(userId);
+  const msg = await findVotedMessage(historyId);
+  const hid = msg ? msg.id : String(historyId);
+  const where = voteKey(uid, hid, msg);
+  const hasExtra = reasons !== undefined || comment !== undefined || report;
+  const prev = await prisma.feedback.findUnique({ where, select: { vote: true } });
+  const prevVote = prev?.vote || null;
 
-  if (vote === 'none' || !vote) {
-    if (idx >= 0) {
-      state.votes.splice(idx, 1);
-      return save();
-    }
-    return Promise.resolve();
+  if (vote === 'none' || (!vote && !hasExtra)) {
+    await prisma.feedback.deleteMany({ where: msg ? { userId: uid, messageId: msg.id } : { userId: uid, historyId: hid } });
+    await syncMessageVote(msg, uid, null);
+    return prevVote;
   }
 
-  if (idx >= 0) {
-    state.votes[idx].vote = vote;
-    state.votes[idx].updatedAt = now;
-  } else {
-    state.votes.push({ userId: String(userId), historyId: String(historyId), vote, createdAt: now, updatedAt: now });
-  }
-  return save();
+  await ensureUser(uid); // Feedback.userId é FK (ids anônimos ganham a "casca")
+  const dates = {
+    ...(createdAt ? { createdAt: new Date(createdAt) } : {}),
+    ...(updatedAt ? { updatedAt: new Date(updatedAt) } : {}),
+  };
+  const data = {
+    ...(vote ? { vote } : {}),
+    ...(reasons !== undefined ? { reasons } : {}),
+    ...(comment !== undefined ? { comment: comment || null } : {}),
+    ...(report ? { reported: true, reportedAt: new Date(), reportStatus: 'aberto', reviewedAt: null } : {}),
+  };
+  await prisma.feedback.upsert({
+    where,
+    create: { userId: uid, historyId: hid, messageId: msg?.id || null, ...data, ...dates },
+    update: { ...data, ...(dates.updatedAt ? { updatedAt: dates.updatedAt } : {}) },
+  });
+  if (vote) await syncMessageVote(msg, uid, vote);
+  return prevVote;
 }
 
-function getCounts(historyId) {
-  loadOnce();
-  const hid = String(historyId);
-  let up = 0, down = 0;
-  for (const v of state.votes) {
-    if (String(v.historyId) !== hid) continue;
-    if (v.vote === 'up') up++;
-    if (v.vote === 'down') down++;
-  }
-  return { up, down };
+async function getCounts(historyId) {
+  const msg = await findVotedMessage(historyId);
+  const rows = await prisma.feedback.groupBy({
+    by: ['vote'],
+    where: msg ? { messageId: msg.id } : { historyId: String(historyId) },
+    _count: { _all: true },
+  });
+  const out = { up: 0, down: 0 };
+  for (const r of rows) if (r.vote) out[r.vote] = r._count._all;
+  return out;
+}
+
+// votos cuja última alteração cai na janela [since, until) — p/ os relatórios
+async function listVotes({ since, until, userId } = {}) {
+  return prisma.feedback.findMany({
+    where: {
+      ...(userId ? { userId: String(userId) } : {}),
+      vote: { in: ['up', 'down'] },
+      updatedAt: {
+        ...(since ? { gte: new Date(since) } : {}),
+        ...(until ? { lt: new Date(until) } : {}),
+      },
+    },
+    select: { userId: true, historyId: true, vote: true, createdAt: true, updatedAt: true },
+  });
+}
+
+function toReport(f, ev) {
+  const m = f.message;
+  return {
+    id: f.id,
+    userId: f.userId,
+    historyId: f.historyId,
+    vote: f.vote,
+    reasons: f.reasons,
+    comment: f.comment,
+    status: f.reportStatus,
+    reportedAt: f.reportedAt,
+    reviewedAt: f.reviewedAt,
+    // resposta do chat: pergunta original + resposta denunciada
+    question: m?.replyTo?.content ?? null,
+    answer: m?.content ?? null,
+    conversationId: m?.conversationId ?? null,
+    meta: m?.meta ?? null,
+    // item que não é mensagem (plano, resumo…): o evento inteiro
+    event: ev ? { type: ev.type, payload: ev.payload, createdAt: ev.createdAt } : null,
+  };
+}
+
+/** Fila de moderação: denúncias (status opcional), mais recentes primeiro. → { items, total } */
+async function listReports({ status, limit = 30, offset = 0 } = {}) {
+  const where = { reported: true, ...(status ? { reportStatus: status } : {}) };
+  const take = Math.max(1, Math.min(100, Number(limit) || 30));
+  const skip = Math.max(0, Number(offset) || 0);
+  const [rows, total] = await Promise.all([
+    prisma.feedback.findMany({
+      where,
+      orderBy: { reportedAt: 'desc' },
+      take,
+      skip,
+      include: {
+        message: {
+          select: {
+            content: true, meta: true, conversationId: true,
+            replyTo: { select: { content: true } },
+          },
+        },
+      },
+    }),
+    prisma.feedback.count({ where }),
+  ]);
+  const eventIds = rows.filter(f => !f.message).map(f => f.historyId);
+  const events = eventIds.length
+    ? await prisma.event.findMany({ where: { id: { in: eventIds } }, select: { id: true, type: true, payload: true, createdAt: true } })
+    : [];
+  const byId = new Map(events.map(e => [e.id, e]));
+  return { items: rows.map(f => toReport(f, byId.get(f.historyId))), total };
+}
+
+/** Fecha/reabre a denúncia. null se não existir. */
+async function setReportStatus(id, status) {
+  const found = await prisma.feedback.findFirst({ where: { id: String(id), reported: true }, select: { id: true } });
+  if (!found) return null;
+  return prisma.feedback.update({
+    where: { id: found.id },
+    data: { reportStatus: status, reviewedAt: status === 'aberto' ? null : new Date() },
+  });
 }
 
-module.exports = { setVote, getCounts };
\ No newline at end of file
+module.exports = {
+  REASONS,
+  REPORT_STATUS,
+  setVote,
+  findVote,
+  getCounts,
+  listVotes,
+  listReports,
+  setReportStatus,
+};
@@ -0,0 +1,249 @@
+// src/lib/flashcardStore.js
+'use strict';
+const { z } = require('zod');
+const { v4: uuid } = require('uuid');
+
+// -----------------------------
+// Decks de flashcards + revisão espaçada (SM-2)
+// -----------------------------
+// Guardados como eventos "flashcards" (mesmo esquema do kanban); os helpers de
+// evento (db.js) chegam por createFlashcardStore, como no registerKanban:
+//   { kind:'deck', name, materia }
+//   { kind:'card', deckId, front, back, materia, srs:{ ease, interval, reps, lapses, due, lastReviewedAt } }
+const TYP = 'flashcards';
+const MAX = 10000;
+const DAY_MS = 86_400_000;
+const nowISO = () => new Date().toISOString();
+
+// rótulos dos botões do app → nota SM-2 (0..5)
+const GRADE_LABELS = { again: 1, hard: 3, good: 4, easy: 5 };
+
+const GeneratedCardsSchema = z.object({
+  cards: z.array(z.object({
+    front: z.string().trim().min(1).max(300),
+    back: z.string().trim().min(1).max(600),
+  })).min(1).max(30),
+});
+
+/** Cartões gerados pelo LLM ({ cards:[{front, back}] }) ou null se inválido. */
+function parseGeneratedCards(raw) {
+  const parsed = GeneratedCardsSchema.safeParse(raw || {});
+  if (!parsed.success) {
+    console.warn('[flashcards] zod errors:', parsed.error.issues?.slice(0, 3));
+    return null;
+  }
+  return parsed.data.cards;
+}
+
+function parseGrade(g) {
+  if (typeof g === 'string' && g in GRADE_LABELS) return GRADE_LABELS[g];
+  const n = Number(g);
+  return Number.isInteger(n) && n >= 0 && n <= 5 ? n : null;
+}
+
+/** Chave de deck: mesmo nome (sem diferenciar maiúsculas) na mesma matéria = mesmo deck. */
+function deckKey({ name, materia } = {}) {
+  return `${materia || 'geral'}|${String(name || '').trim().toLowerCase()}`;
+}
+
+function newSrs(now = new Date()) {
+  return { ease: 2.5, interval: 0, reps: 0, lapses: 0, due: now.toISOString(), lastReviewedAt: null };
+}
+
+/**
+ * SM-2: nota < 3 zera a sequência (volta amanhã); senão 1d → 6d → intervalo × ease.
+ * Intervalo em dias.
+ */
+function schedule(srs, grade, now = new Date()) {
+  const s = { ...newSrs(now), ...(srs || {}) };
+  if (grade < 3) {
+    s.reps = 0;
+    s.interval = 1;
+    s.lapses += 1;
+  } else {
+    s.reps += 1;
+    s.interval = s.reps === 1 ? 1 : s.reps === 2 ? 6 : Math.round(s.interval * s.ease);
+  }
+  s.ease = Math.max(1.3, +(s.ease + (0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02))).toFixed(2));
+  s.due = new Date(now.getTime() + s.interval * DAY_MS).toISOString();
+  s.lastReviewedAt = now.toISOString();
+  return s;
+}
+
+function toDeck(ev, cards = []) {
+  const mine = cards.filter(c => c.payload.deckId === ev.id);
+  const now = Date.now();
+  return {
+    id: ev.id,
+    name: ev.payload.name,
+    materia: ev.payload.materia || 'geral',
+    cards: mine.length,
+    due: mine.filter(c => new Date(c.payload.srs?.due || 0).getTime() <= now).length,
+    createdAt: ev.createdAt,
+  };
+}
+
+function toCard(ev) {
+  const p = ev.payload;
+  return {
+    id: ev.id,
+    deckId: p.deckId,
+    front: p.front,
+    back: p.back,
+    materia: p.materia || 'geral',
+    srs: p.srs,
+    createdAt: ev.createdAt,
+  };
+}
+
+function createFlashcardStore({ addEvent, listEvents, removeEvent } = {}) {
+  if (!addEvent || !listEvents || !removeEvent) throw new Error('flashcards: db helpers ausentes');
+
+  async function getAll(userId) {
+    const rows = await listEvents(userId, MAX);
+    return (rows || []).filter(e => e.type === TYP);
+  }
+
+  // mesmo padrão do planner/kanban: regrava o evento (id e createdAt preservados)
+  async function rewrite(ev) {
+    await removeEvent(ev.id, ev.userId);
+    await addEvent(ev);
+    return ev;
+  }
+
+  async function listDecks(userId) {
+    const all = await getAll(userId);
+    const cards = all.filter(e => e.payload?.kind === 'card');
+    return all.filter(e => e.payload?.kind === 'deck').map(d => toDeck(d, cards));
+  }
+
+  async function getDeckEvent(userId, deckId) {
+    const all = await getAll(userId);
+    return all.find(e => e.id === deckId && e.payload?.kind === 'deck') || null;
+  }
+
+  async function getDeck(userId, deckId) {
+    const all = await getAll(userId);
+    const ev = all.find(e => e.id === deckId && e.payload?.kind === 'deck');
+    return ev ? toDeck(ev, all.filter(e => e.payload?.kind === 'card')) : null;
+  }
+
+  /** Deck pelo nome (sem diferenciar maiúsculas) dentro da matéria; cria se não existir. */
+  async function findOrCreateDeck({ userId, name, materia = 'geral' }) {
+    const all = await getAll(userId);
+    const key = deckKey({ name, materia });
+    const found = all.find(e => e.payload?.kind === 'deck' && deckKey(e.payload) === key);
+    if (found) return toDeck(found, all.filter(e => e.payload?.kind === 'card'));
+
+    const ev = {
+      id: uuid(),
+      userId,
+      type: TYP,
+      payload: { kind: 'deck', name: String(name).trim().slice(0, 120), materia },
+      createdAt: nowISO(),
+    };
+    await addEvent(ev);
+    return toDeck(ev);
+  }
+
+  async function addCards(userId, deckId, cards = [], meta = {}) {
+    const deck = await getDeckEvent(userId, deckId);
+    if (!deck) return null;
+    const out = [];
+    for (const c of cards) {
+      const ev = {
+        id: uuid(),
+        userId,
+        type: TYP,
+        payload: {
+          kind: 'card',
+          deckId,
+          materia: deck.payload.materia || 'geral',
+          front: String(c.front).trim(),
+          back: String(c.back).trim(),
+          srs: newSrs(),
+          ...meta,
+        },
+        createdAt: nowISO(),
+      };
+      await addEvent(ev);
+      out.push(toCard(ev));
+    }
+    return out;
+  }
+
+  async function listCards(userId, deckId) {
+    const all = await getAll(userId);
+    return all.filter(e => e.payload?.kind === 'card' && e.payload.deckId === deckId).map(toCard);
+  }
+
+  /**
+   * Fila de revisão: cartões vencidos até o fim de hoje (inclui novos), mais atrasados primeiro.
+   * → { cards, total, newCount }
+   */
+  async function dueCards(userId, { deckId, materia, limit = 20, now = new Date() } = {}) {
+    const endOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1).getTime();
+    const all = await getAll(userId);
+    const due = all
+      .filter(e => e.payload?.kind === 'card')
+      .filter(e => !deckId || e.payload.deckId === deckId)
+      .filter(e => !materia || (e.payload.materia || 'geral') === materia)
+      .filter(e => new Date(e.payload.srs?.due || 0).getTime() < endOfDay)
+      .sort((a, b) => new Date(a.payload.srs?.due || 0) - new Date(b.payload.srs?.due || 0));
+    const take = Math.max(1, Math.min(200, Number(limit) || 20));
+    return {
+      cards: due.slice(0, take).map(toCard),
+      total: due.length,
+      newCount: due.filter(e => !e.payload.srs?.reps && !e.payload.srs?.lastReviewedAt).length,
+    };
+  }
+
+  async function reviewCard(userId, cardId, grade, now = new Date()) {
+    const all = await getAll(userId);
+    const ev = all.find(e => e.id === cardId && e.payload?.kind === 'card');
+    if (!ev) return null;
+    ev.payload = { ...ev.payload, srs: schedule(ev.payload.srs, grade, now) };
+    await rewrite(ev);
+    return toCard(ev);
+  }
+
+  async function removeCard(userId, cardId) {
+    const all = await getAll(userId);
+    const ev = all.find(e => e.id === cardId && e.payload?.kind === 'card');
+    if (!ev) return false;
+    return (await removeEvent(ev.id, userId)) > 0;
+  }
+
+  /** Remove o deck e os cartões dele. */
+  async function removeDeck(userId, deckId) {
+    const all = await getAll(userId);
+    const deck = all.find(e => e.id === deckId && e.payload?.kind === 'deck');
+    if (!deck) return false;
+    for (const c of all.filter(e => e.payload?.kind === 'card' && e.payload.deckId === deckId)) {
+      await removeEvent(c.id, userId);
+    }
+    await removeEvent(deck.id, userId);
+    return true;
+  }
+
+  return {
+    listDecks,
+    getDeck,
+    findOrCreateDeck,
+    addCards,
+    listCards,
+    dueCards,
+    reviewCard,
+    removeCard,
+    removeDeck,
+  };
+}
+
+module.exports = {
+  GRADE_LABELS,
+  parseGeneratedCards,
+  parseGrade,
+  schedule,
+  deckKey,
+  createFlashcardStore,
+};
@@ -0,0 +1,174 @@
+// src/lib/i18n.js
+'use strict';
+
+// -----------------------------
+// Idioma do aluno: pt (padrão), es, en
+// -----------------------------
+// `lang` vem do body/query da requisição ou do perfil (PATCH /me/profile) e decide:
+//   - o idioma das respostas do LLM (os prompts continuam escritos em PT; só
+//     trocam o idioma-alvo, os rótulos fixos e ganham a regra de idioma)
+//   - o `-l` do whisper no /transcribe
+//   - o formato de datas/dias (toBR do planner, títulos do kanban)
+//   - as mensagens de erro legíveis da API (códigos como 'rate_limit' não mudam)
+const DEFAULT_LANG = 'pt';
+
+const LANGS = {
+  pt: {
+    locale: 'pt-BR', whisper: 'pt', prompt: 'PT-BR',
+    nextStep: 'Próximo passo', practice: 'Pratique',
+    weekdays: ['Segunda', 'Terça', 'Quarta', 'Quinta', 'Sexta'],
+  },
+  es: {
+    locale: 'es-ES', whisper: 'es', prompt: 'espanhol',
+    nextStep: 'Próximo paso', practice: 'Practica',
+    weekdays: ['Lunes', 'Martes', 'Miércoles', 'Jueves', 'Viernes'],
+  },
+  en: {
+    locale: 'en-US', whisper: 'en', prompt: 'inglês',
+    nextStep: 'Next step', practice: 'Practice',
+    weekdays: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'],
+  },
+};
+const SUPPORTED_LANGS = Object.keys(LANGS);
+
+/** 'pt-BR', 'PT', 'en_US', 'es' … → 'pt' | 'en' | 'es' (ou null se não suportado). */
+function normalizeLang(v) {
+  const code = String(v || '').trim().toLowerCase().slice(0, 2);
+  return LANGS[code] ? code : null;
+}
+
+/** Primeiro candidato válido (body > perfil > …); nenhum → 'pt'. */
+function resolveLang(...candidates) {
+  for (const c of candidates) {
+    const lang = normalizeLang(c);
+    if (lang) return lang;
+  }
+  return DEFAULT_LANG;
+}
+
+function langInfo(lang) {
+  return LANGS[normalizeLang(lang) || DEFAULT_LANG];
+}
+
+/** Regra extra dos prompts p/ idiomas ≠ PT (em PT o prompt fica como sempre foi). */
+function langRule(lang) {
+  const l = normalizeLang(lang);
+  if (!l || l === DEFAULT_LANG) return '';
+  return `- Responda SEMPRE em ${LANGS[l].prompt} (inclusive títulos, rótulos e textos dentro de JSON), mesmo que o material ou a pergunta venham em outro idioma.`;
+}
+
+/** Data curta no formato do idioma: pt 08-11-2026 · es 08/11/2026 · en Nov 08, 2026. */
+function formatDate(date, lang = DEFAULT_LANG) {
+  const d = new Date(date);
+  const dia = String(d.getDate()).padStart(2, '0');
+  const mes = String(d.getMonth() + 1).padStart(2, '0');
+  const ano = d.getFullYear();
+  switch (normalizeLang(lang)) {
+    case 'es': return `${dia}/${mes}/${ano}`;
+    case 'en': return d.toLocaleDateString('en-US', { month: 'short', day: '2-digit', year: 'numeric' });
+    default: return `${dia}-${mes}-${ano}`;
+  }
+}
+
+// -----------------------------
+// Mensagens de erro
+// -----------------------------
+// As rotas continuam respondendo em PT; o middleware troca `error` na saída.
+// Padrões ("X é obrigatório", "X não encontrado") + frases avulsas.
+const NOUNS = {
+  es: {
+    Mensagem: 'Mensaje', Conversa: 'Conversación', Plano: 'Plan', Simulado: 'Simulacro', Erro: 'Error',
+    Cartão: 'Tarjeta', Lista: 'Lista', 'Lista de destino': 'Lista de destino', Dia: 'Día', Bloco: 'Bloque',
+    Denúncia: 'Denuncia', Sessão: 'Sesión',
+  },
+  en: {
+    Mensagem: 'Message', Conversa: 'Conversation', Plano: 'Plan', Simulado: 'Practice exam', Erro: 'Mistake',
+    Cartão: 'Card', Lista: 'List', 'Lista de destino': 'Target list', Dia: 'Day', Bloco: 'Block',
+    Denúncia: 'Report', Sessão: 'Session',
+  },
+};
+
+const PHRASES = {
+  'erro interno': { es: 'error interno', en: 'internal error' },
+  'dataAlvo inválida': { es: 'dataAlvo inválida', en: 'invalid dataAlvo' },
+  'message é obrigatório quando não há imagens': { es: 'message es obligatorio cuando no hay imágenes', en: 'message is required when there are no images' },
+  'Envie ao menos uma imagem ou uma mensagem.': { es: 'Envía al menos una imagen o un mensaje.', en: 'Send at least one image or a message.' },
+  'Respostas sobre imagens não podem ser regeneradas': { es: 'Las respuestas sobre imágenes no se pueden regenerar', en: 'Answers about images cannot be regenerated' },
+  'Perguntas com imagens não podem ser editadas': { es: 'Las preguntas con imágenes no se pueden editar', en: 'Questions with images cannot be edited' },
+  'No modo guia só a última resposta pode ser regenerada': { es: 'En el modo guía solo se puede regenerar la última respuesta', en: 'In guide mode only the latest answer can be regenerated' },
+  'Não consegui resumir agora': { es: 'No pude resumir ahora', en: 'Could not summarize right now' },
+  'Não consegui gerar os flashcards agora': { es: 'No pude generar las tarjetas ahora', en: 'Could not generate the flashcards right now' },
+  'Nenhum erro encontrado para revisar': { es: 'No hay errores para repasar', en: 'No mistakes found to review' },
+  'arquivo de áudio ausente': { es: 'falta el archivo de audio', en: 'missing audio file' },
+  'falha ao converter áudio': { es: 'error al convertir el audio', en: 'failed to convert audio' },
+  'Tempo esgotado; finalize o simulado': { es: 'Se acabó el tiempo; finaliza el simulacro', en: 'Time is up; finish the practice exam' },
+  'Inicie o simulado antes de responder': { es: 'Inicia el simulacro antes de responder', en: 'Start the practice exam before answering' },
+  'Simulado não foi iniciado': { es: 'El simulacro no se ha iniciado', en: 'The practice exam has not started' },
+  'Simulado não finalizado': { es: 'Simulacro no finalizado', en: 'Practice exam not finished' },
+  'Simulado já iniciado': { es: 'Simulacro ya iniciado', en: 'Practice exam already started' },
+  'Simulado já finalizado': { es: 'Simulacro ya finalizado', en: 'Practice exam already finished' },
+  'Credenciais inválidas.': { es: 'Credenciales inválidas.', en: 'Invalid credentials.' },
+  'Email já cadastrado.': { es: 'Email ya registrado.', en: 'Email already registered.' },
+  'Username já cadastrado.': { es: 'Username ya registrado.', en: 'Username already taken.' },
+  'Telefone já cadastrado.': { es: 'Teléfono ya registrado.', en: 'Phone already registered.' },
+  'Informe (email ou username ou phone) e password.': { es: 'Informa (email o username o phone) y password.', en: 'Provide (email or username or phone) and password.' },
+  'token obrigatório': { es: 'token obligatorio', en: 'token required' },
+  'token inválido': { es: 'token inválido', en: 'invalid token' },
+  'token expirado': { es: 'token expirado', en: 'token expired' },
+  'userId não confere com o token': { es: 'userId no coincide con el token', en: 'userId does not match the token' },
+  'sessão encerrada': { es: 'sesión cerrada', en: 'session ended' },
+  'refresh inválido': { es: 'refresh inválido', en: 'invalid refresh token' },
+  'id já migrado: use /auth/refresh': { es: 'id ya migrado: usa /auth/refresh', en: 'id already migrated: use /auth/refresh' },
+  'id já migrado: envie o anonToken': { es: 'id ya migrado: envía el anonToken', en: 'id already migrated: send the anonToken' },
+  'anonToken inválido': { es: 'anonToken inválido', en: 'invalid anonToken' },
+  'conta cadastrada não pode ser vinculada': { es: 'una cuenta registrada no se puede vincular', en: 'a registered account cannot be linked' },
+  'id já vinculado a uma conta': { es: 'id ya vinculado a una cuenta', en: 'id already linked to an account' },
+  'id já vinculado a uma conta: use /auth/login': { es: 'id ya vinculado a una cuenta: usa /auth/login', en: 'id already linked to an account: use /auth/login' },
+  'faça login numa conta cadastrada': { es: 'inicia sesión en una cuenta registrada', en: 'log in to a registered account' },
+  'newPassword deve ter ao menos 6 caracteres.': { es: 'newPassword debe tener al menos 6 caracteres.', en: 'newPassword must be at least 6 characters.' },
+};
+
+const AND = { es: ' y ', en: ' and ' };
+
+function translateError(msg, lang) {
+  const l = normalizeLang(lang);
+  if (!l || l === DEFAULT_LANG || typeof msg !== 'string') return msg;
+  if (PHRASES[msg]?.[l]) return PHRASES[msg][l];
+
+  let m = msg.match(/^(.+?) (é|são) obrigatórios?\.?$/);
+  if (m) {
+    const fields = m[1].replace(/ e /g, AND[l]);
+    if (l === 'es') return `${fields} ${m[2] === 'é' ? 'es obligatorio' : 'son obligatorios'}`;
+    return `${fields} ${m[2] === 'é' ? 'is' : 'are'} required`;
+  }
+  m = msg.match(/^(.+?) não encontrad[oa]( .*)?$/);
+  if (m) {
+    const noun = NOUNS[l][m[1]] || m[1];
+    return l === 'es' ? `${noun} no encontrado` : `${noun} not found`;
+  }
+  return msg;
+}
+
+/** Middleware: traduz `error` das respostas JSON conforme `req.lang`. */
+function localizeErrors(req, res, next) {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (body && typeof body.error === 'string' && req.lang && req.lang !== DEFAULT_LANG) {
+      body = { ...body, error: translateError(body.error, req.lang) };
+    }
+    return json(body);
+  };
+  next();
+}
+
+module.exports = {
+  DEFAULT_LANG,
+  SUPPORTED_LANGS,
+  normalizeLang,
+  resolveLang,
+  langInfo,
+  langRule,
+  formatDate,
+  translateError,
+  localizeErrors,
+};
@@ -0,0 +1,186 @@
+// src/lib/llmProviders.js
+'use strict';
+require('dotenv').config();
+
+const fs = require('fs');
+
+let OpenAI;
+try { OpenAI = require('openai'); } catch {}
+
+// -----------------------------
+// Registro de provedores LLM
+// -----------------------------
+// Cada provedor devolve um "client" com a mesma forma do SDK openai
+// (client.chat.completions.create), assim askLLM/askLLMJson/askLLMVision
+// não precisam saber com quem estão falando.
+//   - openai   → api.openai.com (OPENAI_API_KEY)
+//   - compat   → qualquer servidor OpenAI-compatible (llama.cpp, Ollama, vLLM…)
+//   - scripted → respostas determinísticas, sem rede (dev offline / testes)
+const providers = new Map();
+
+function registerProvider(name, def) {
+  if (!name || !def || typeof def.createClient !== 'function') {
+    throw new Error('registerProvider: informe nome e { createClient }');
+  }
+  providers.set(String(name), { name: String(name), gated: false, ...def });
+}
+
+function resolveProviderName(name) {
+  const n = String(name || process.env.LLM_PROVIDER || 'openai').trim().toLowerCase();
+  if (n === 'local') return 'compat'; // alias amigável
+  return n;
+}
+
+function getProvider(name) {
+  const n = resolveProviderName(name);
+  const p = providers.get(n);
+  if (!p) throw new Error(`Provedor LLM desconhecido: ${n}`);
+  return p;
+}
+
+function listProviders() {
+  return Array.from(providers.keys());
+}
+
+// -----------------------------
+// openai
+// -----------------------------
+registerProvider('openai', {
+  defaultModel: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+  gated: true, // RPM/TPM/cooldown valem só para a conta OpenAI
+  createClient({ timeoutMs } = {}) {
+    const apiKey = process.env.OPENAI_API_KEY || '';
+    if (!apiKey) throw new Error('OPENAI_API_KEY ausente no .env');
+    if (!OpenAI) throw new Error("Pacote 'openai' não instalado. Rode: npm i openai");
+    return new OpenAI({ apiKey, timeout: timeoutMs });
+  },
+});
+
+// -----------------------------
+// compat (OpenAI-compatible: llama.cpp server, Ollama /v1, vLLM…)
+// -----------------------------
+registerProvider('compat', {
+  defaultModel: process.env.LLM_COMPAT_MODEL || 'llama3.1',
+  gated: false,
+  createClient({ timeoutMs } = {}) {
+    const baseURL = process.env.LLM_COMPAT_BASE_URL || 'http://localhost:11434/v1';
+    if (!OpenAI) throw new Error("Pacote 'openai' não instalado. Rode: npm i openai");
+    // servidores locais costumam ignorar a chave, mas o SDK exige uma
+    const apiKey = process.env.LLM_COMPAT_API_KEY || 'sk-local';
+    return new OpenAI({ apiKey, baseURL, timeout: timeoutMs });
+  },
+});
+
+// -----------------------------
+// scripted (determinístico, sem rede)
+// -----------------------------
+// Regras: [{ match: "regex ou texto", reply: "string" | {obj}, error?: { status, code, retryAfter } }]
+// Fonte: setScript(rules) (testes) ou arquivo JSON em LLM_SCRIPT_FILE.
+// Sem regra que bata → eco curto (texto) ou {} (JSON).
+let _scriptRules = null;
+
+function loadScriptFile() {
+  const file = process.env.LLM_SCRIPT_FILE;
+  if (!file) return [];
+  try {
+    const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return Array.isArray(parsed) ? parsed : (Array.isArray(parsed?.rules) ? parsed.rules : []);
+  } catch (e) {
+    console.warn('[llm:scripted] falha ao ler LLM_SCRIPT_FILE:', e?.message || e);
+    return [];
+  }
+}
+
+function setScript(rules) {
+  _scriptRules = Array.isArray(rules) ? rules : null;
+}
+
+function messagesToText(messages = []) {
+  return messages.map(m => {
+    if (typeof m.content === 'string') return m.content;
+    if (Array.isArray(m.content)) return m.content.filter(c => c.type === 'text').map(c => c.text).join('\n');
+    return '';
+  }).join('\n');
+}
+
+function ruleMatches(rule, text) {
+  if (!rule || rule.match == null || rule.match === '*') return true;
+  try { return new RegExp(rule.match, 'i').test(text); }
+  catch { return text.toLowerCase().includes(String(rule.match).toLowerCase()); }
+}
+
+function scriptedError(spec = {}) {
+  const status = Number(spec.status || 500);
+  const err = new Error(spec.message || `scripted error ${status}`);
+  err.status = status;
+  err.code = spec.code;
+  err.response = {
+    status,
+    headers: spec.retryAfter != null ? { 'retry-after': String(spec.retryAfter) } : {},
+    data: { error: { code: spec.code || '', type: spec.code || '', message: err.message } },
+  };
+  return err;
+}
+
+function scriptedReply(params) {
+  const text = messagesToText(params.messages);
+  const rules = _scriptRules || loadScriptFile();
+  const rule = rules.find(r => ruleMatches(r, text));
+  if (rule?.error) throw scriptedError(rule.error);
+
+  const wantsJson = params.response_format?.type === 'json_object';
+  if (rule && rule.reply != null) {
+    return typeof rule.reply === 'string' ? rule.reply : JSON.stringify(rule.reply);
+  }
+  if (wantsJson) return '{}';
+  const last = [...(params.messages || [])].reverse().find(m => m.role === 'user');
+  return `[scripted] ${messagesToText(last ? [last] : []).slice(0, 120)}`.trim();
+}
+
+function scriptedUsage(params, content) {
+  const approx = (s) => Math.ceil(String(s || '').length / 4);
+  const prompt_tokens = approx(messagesToText(params.messages));
+  const completion_tokens = approx(content);
+  return { prompt_tokens, completion_tokens, total_tokens: prompt_tokens + completion_tokens };
+}
+
+// stream: devolve a resposta em pedaços (palavra a palavra), como o SDK com stream:true
+async function* scriptedStream(params, content, signal) {
+  const parts = content.match(/\S+\s*/g) || [];
+  for (const part of parts) {
+    if (signal?.aborted) return;
+    yield { choices: [{ index: 0, delta: { content: part } }] };
+  }
+  yield { choices: [], usage: scriptedUsage(params, content) };
+}
+
+registerProvider('scripted', {
+  defaultModel: 'scripted',
+  gated: false,
+  createClient() {
+    return {
+      chat: {
+        completions: {
+          async create(params, opts = {}) {
+            const content = scriptedReply(params);
+            if (params.stream) return scriptedStream(params, content, opts.signal);
+            return {
+              id: 'scripted',
+              model: params.model || 'scripted',
+              choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+              usage: scriptedUsage(params, content),
+            };
+          },
+        },
+      },
+    };
+  },
+});
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  listProviders,
+  resolveProviderName,
+  setScript,
+};
@@ -0,0 +1,173 @@
+// src/lib/llmQueue.js
+'use strict';
+
+// -----------------------------
+// Fila LLM com prioridade + justiça por usuário
+// -----------------------------
+// Fica NA FRENTE do rpmGate/tpmGate do llm.js: decide quem chama o LLM
+// primeiro; os gates continuam cuidando dos limites da conta.
+//  - prioridade por rota (chat > planner > summarize > background)
+//  - dentro da mesma prioridade, vez de quem foi atendido há mais tempo
+//    (um usuário com 5 pedidos não passa na frente de quem tem 1)
+//  - aging: cada LLM_QUEUE_AGING_MS esperando sobe 1 nível (sem starvation)
+//  - cancelamento via AbortSignal (cliente HTTP desconectou)
+const CONCURRENCY = Math.max(1, Number(process.env.LLM_QUEUE_CONCURRENCY || 1));
+const MAX_WAIT_MS = Number(process.env.LLM_QUEUE_MAX_WAIT_MS || 90_000);
+const AGING_MS    = Number(process.env.LLM_QUEUE_AGING_MS || 20_000);
+
+const PRIORITIES = { chat: 0, planner: 1, summarize: 2, background: 3 };
+
+const _waiting = [];            // tickets aguardando
+const _running = new Map();     // id -> ticket em execução
+const _lastServed = new Map();  // userId -> seq do último atendimento (ordem de inserção = LRU)
+const MAX_SERVED = 1000;
+const _durations = [];          // últimas durações (ms) p/ ETA
+let _seq = 0;
+
+function queueError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function priorityOf(p) {
+  if (typeof p === 'number') return p;
+  return PRIORITIES[p] ?? PRIORITIES.planner;
+}
+
+function effectivePriority(t, now) {
+  const aged = AGING_MS > 0 ? Math.floor((now - t.enqueuedAt) / AGING_MS) : 0;
+  return Math.max(0, t.priority - aged);
+}
+
+function compareTickets(a, b, now) {
+  const pa = effectivePriority(a, now), pb = effectivePriority(b, now);
+  if (pa !== pb) return pa - pb;
+  const sa = _lastServed.get(a.userId) || 0, sb = _lastServed.get(b.userId) || 0;
+  if (sa !== sb) return sa - sb;
+  return a.seq - b.seq;
+}
+
+function orderedWaiting() {
+  const now = Date.now();
+  return _waiting.slice().sort((a, b) => compareTickets(a, b, now));
+}
+
+function avgDurationMs() {
+  if (!_durations.length) return 4000;
+  return Math.round(_durations.reduce((s, d) => s + d, 0) / _durations.length);
+}
+
+function etaFor(position) {
+  return Math.round(((position - 1 + _running.size) / CONCURRENCY) * avgDurationMs());
+}
+
+function notifyPositions() {
+  orderedWaiting().forEach((t, i) => {
+    const position = i + 1;
+    if (t.lastPosition === position) return;
+    t.lastPosition = position;
+    try { t.onPosition?.({ position, etaMs: etaFor(position) }); } catch {}
+  });
+}
+
+function removeWaiting(t) {
+  const idx = _waiting.indexOf(t);
+  if (idx >= 0) _waiting.splice(idx, 1);
+  clearTimeout(t.timer);
+  t.signal?.removeEventListener?.('abort', t.onAbort);
+  return idx >= 0;
+}
+
+// Limitado a MAX_SERVED: sai quem foi atendido há mais tempo — o menor seq, que
+// volta a contar como 0 e mantém a mesma ordem em compareTickets.
+function markServed(userId) {
+  _lastServed.delete(userId);
+  _lastServed.set(userId, ++_seq);
+  if (_lastServed.size > MAX_SERVED) _lastServed.delete(_lastServed.keys().next().value);
+}
+
+async function run(t) {
+  _running.set(t.id, t);
+  markServed(t.userId);
+  const startedAt = Date.now();
+  try {
+    t.resolve(await t.fn({ signal: t.signal, waitedMs: startedAt - t.enqueuedAt }));
+  } catch (e) {
+    t.reject(e);
+  } finally {
+    _running.delete(t.id);
+    _durations.push(Date.now() - startedAt);
+    if (_durations.length > 20) _durations.shift();
+    pump();
+  }
+}
+
+function pump() {
+  while (_running.size < CONCURRENCY && _waiting.length) {
+    const next = orderedWaiting()[0];
+    removeWaiting(next);
+    run(next);
+  }
+  notifyPositions();
+}
+
+/**
+ * Enfileira uma chamada ao LLM.
+ * fn recebe { signal, waitedMs }. Rejeita com err.code 'cancelled' (signal abortado
+ * antes de começar) ou 'queue_timeout' (esperou mais que LLM_QUEUE_MAX_WAIT_MS).
+ */
+function enqueueLLM(fn, { userId = 'anon', priority = 'planner', signal, onPosition, maxWaitMs = MAX_WAIT_MS } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(queueError('cancelled', 'cliente desconectou'));
+
+    const t = {
+      id: ++_seq,
+      seq: _seq,
+      userId: String(userId || 'anon'),
+      priority: priorityOf(priority),
+      enqueuedAt: Date.now(),
+      fn, resolve, reject, signal, onPosition,
+      lastPosition: null,
+    };
+
+    t.onAbort = () => {
+      if (removeWaiting(t)) {
+        reject(queueError('cancelled', 'cliente desconectou'));
+        notifyPositions();
+      }
+    };
+    signal?.addEventListener?.('abort', t.onAbort, { once: true });
+
+    if (maxWaitMs > 0) {
+      t.timer = setTimeout(() => {
+        if (removeWaiting(t)) {
+          reject(queueError('queue_timeout', `fila LLM: espera > ${maxWaitMs}ms`));
+          notifyPositions();
+        }
+      }, maxWaitMs);
+    }
+
+    _waiting.push(t);
+    pump();
+  });
+}
+
+/** Posição/ETA dos pedidos de um usuário (ou visão geral, sem userId). */
+function getQueueState(userId) {
+  const ordered = orderedWaiting();
+  // userId nunca sai daqui: /diag é público
+  const waiting = ordered
+    .map((t, i) => ({ t, position: i + 1 }))
+    .filter(({ t }) => !userId || t.userId === String(userId))
+    .map(({ t, position }) => ({ position, etaMs: etaFor(position), priority: t.priority, waitedMs: Date.now() - t.enqueuedAt }));
+  return {
+    concurrency: CONCURRENCY,
+    running: _running.size,
+    waiting,
+    totalWaiting: ordered.length,
+    avgDurationMs: avgDurationMs(),
+  };
+}
+
+module.exports = { enqueueLLM, getQueueState, PRIORITIES };
@@ -0,0 +1,187 @@
+// src/lib/mastery.js
+'use strict';
+const { prisma } = require('./prisma');
+
+// -----------------------------
+// Domínio do aluno por matéria/tópico (TopicMastery)
+// -----------------------------
+// Cada sinal traz uma nota 0..1 e um peso (quanto ele "diz" sobre o aluno):
+//   bloco do planner concluído, item de checklist, card do kanban feito,
+//   pergunta no chat (repetida, pedido de outra explicação — ver chatTopics.js),
+//   voto numa resposta, quiz/simulado e notas lançadas
+//   pelo aluno/professor (POST /progress/scores).
+// A estimativa é uma média ponderada que vira média móvel depois de
+// HORIZON de evidência acumulada: sinais recentes pesam mais.
+// topic "" = a matéria como um todo (sinais sem tópico).
+const HORIZON = 4;
+const WEAK_BELOW = 0.45;
+const STRONG_FROM = 0.75;
+const MIN_EVIDENCE = 0.5; // abaixo disso não rotula o tópico (pouca informação)
+
+// pesos/notas padrão por origem do sinal
+const SIGNALS = {
+  planner_block:  { score: 0.7,  weight: 0.5 },
+  checklist:      { score: 0.7,  weight: 0.3 },
+  kanban_card:    { score: 0.7,  weight: 0.4 },
+  chat:           { score: 0.45, weight: 0.15 }, // perguntou → ainda está aprendendo
+  chat_repeat:    { score: 0.3,  weight: 0.35 }, // voltou a perguntar o mesmo tópico
+  chat_reexplain: { score: 0.3,  weight: 0.3 },  // pediu outra explicação (regenerar)
+  feedback_up:    { score: 0.65, weight: 0.2 },
+  feedback_down:  { score: 0.3,  weight: 0.3 },
+  quiz:           { weight: 1 },
+  simulado:       { weight: 1.2 },
+  self:           { weight: 0.6 },
+  teacher:        { weight: 1.5 },
+  external:       { weight: 1.2 },
+};
+
+/** Chave estável p/ matéria/tópico: minúsculas, sem acento, espaços colapsados. */
+function normKey(s) {
+  return String(s || '')
+    .normalize('NFD').replace(/\p{Diacritic}/gu, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .slice(0, 80);
+}
+
+const clamp01 = (n) => Math.max(0, Math.min(1, n));
+
+/** Aceita 0..1 ou 0..100; null se inválido. */
+function parseScore(v) {
+  const n = Number(v);
+  if (v === null || v === undefined || v === '' || !Number.isFinite(n) || n < 0 || n > 100) return null;
+  return n > 1 ? n / 100 : n;
+}
+
+function statusOf(mastery, evidence) {
+  if (evidence < MIN_EVIDENCE) return 'sem_dados';
+  if (mastery < WEAK_BELOW) return 'fraco';
+  if (mastery >= STRONG_FROM) return 'dominado';
+  return 'em_progresso';
+}
+
+/**
+ * Registra um sinal e atualiza a estimativa do tópico.
+ * `score` 0..1 (ou 0..100); sem score/weight usa o padrão de SIGNALS[source].
+ */
+async function recordSignal({ userId, materia = 'geral', topic = '', score, weight, source }) {
+  const def = SIGNALS[source] || {};
+  const s = parseScore(score ?? def.score);
+  const w = Number(weight ?? def.weight);
+  const materiaKey = normKey(materia) || 'geral';
+  if (!userId || s === null || !(w > 0)) return null;
+  const topicKey = normKey(topic);
+  const where = { userId_materia_topic: { userId: String(userId), materia: materiaKey, topic: topicKey } };
+
+  return prisma.$transaction(async (tx) => {
+    const cur = await tx.topicMastery.findUnique({ where });
+    const evidence = cur?.evidence || 0;
+    const alpha = w / (Math.min(evidence, HORIZON) + w);
+    const mastery = cur ? clamp01(cur.mastery + alpha * (s - cur.mastery)) : s;
+    const data = {
+      mastery,
+      evidence: evidence + w,
+      signals: (cur?.signals || 0) + 1,
+      lastSource: source || null,
+      lastScore: s,
+      lastSeenAt: new Date(),
+    };
+    return tx.topicMastery.upsert({
+      where,
+      update: data,
+      create: {
+        userId: String(userId),
+        materia: materiaKey,
+        topic: topicKey,
+        materiaLabel: String(materia || 'geral').trim().slice(0, 80) || 'geral',
+        topicLabel: topicKey ? String(topic).trim().slice(0, 120) : null,
+        ...data,
+      },
+    });
+  });
+}
+
+/** Vários sinais sem segurar a resposta (mesmo espírito do addEvent). */
+function ingest(signals = []) {
+  const list = (Array.isArray(signals) ? signals : [signals]).filter(Boolean);
+  (async () => {
+    for (const sig of list) await recordSignal(sig);
+  })().catch(e => console.warn('mastery ingest error', e?.message || e));
+}
+
+function toTopic(r) {
+  return {
+    topic: r.topicLabel || r.topic,
+    key: r.topic,
+    mastery: Math.round(r.mastery * 100) / 100,
+    confidence: Math.round((r.evidence / (r.evidence + 2)) * 100) / 100,
+    status: statusOf(r.mastery, r.evidence),
+    signals: r.signals,
+    lastSource: r.lastSource,
+    lastSeenAt: r.lastSeenAt,
+  };
+}
+
+/**
+ * Progresso por matéria (média dos tópicos ponderada pela evidência).
+ * → { materias: [{ materia, key, mastery, status, evidence, topics:[…] }], weakTopics: [{ materia, topic, mastery }] }
+ */
+async function getProgress(userId, { materia } = {}) {
+  const rows = await prisma.topicMastery.findMany({
+    where: { userId: String(userId), ...(materia ? { materia: normKey(materia) } : {}) },
+    orderBy: [{ materia: 'asc' }, { mastery: 'asc' }],
+  });
+
+  const byMateria = new Map();
+  for (const r of rows) {
+    const m = byMateria.get(r.materia) || { key: r.materia, materia: r.materiaLabel, rows: [] };
+    m.rows.push(r);
+    byMateria.set(r.materia, m);
+  }
+
+  const materias = [...byMateria.values()].map(({ key, materia: label, rows: rs }) => {
+    const evidence = rs.reduce((a, r) => a + r.evidence, 0);
+    const mastery = evidence ? rs.reduce((a, r) => a + r.mastery * r.evidence, 0) / evidence : 0;
+    return {
+      materia: label,
+      key,
+      mastery: Math.round(mastery * 100) / 100,
+      status: statusOf(mastery, evidence),
+      evidence: Math.round(evidence * 100) / 100,
+      topics: rs.filter(r => r.topic).map(toTopic),
+    };
+  });
+
+  const weakTopics = materias
+    .flatMap(m => m.topics.filter(t => t.status === 'fraco').map(t => ({ materia: m.materia, topic: t.topic, mastery: t.mastery })))
+    .sort((a, b) => a.mastery - b.mastery)
+    .slice(0, 10);
+
+  return { materias, weakTopics };
+}
+
+/**
+ * Resumo p/ adaptar prompts (/chat, /planner/compose).
+ * → { level: 'base'|'intermediario'|'avancado', mastery, weakTopics: [rótulos] } ou null (sem dados)
+ */
+async function getAdaptation(userId, materia) {
+  const { materias } = await getProgress(userId, { materia });
+  const m = materias[0];
+  if (!m || m.status === 'sem_dados') return null;
+  return {
+    level: m.mastery < WEAK_BELOW ? 'base' : m.mastery >= STRONG_FROM ? 'avancado' : 'intermediario',
+    mastery: m.mastery,
+    weakTopics: m.topics.filter(t => t.status === 'fraco').slice(0, 5).map(t => t.topic),
+  };
+}
+
+module.exports = {
+  SIGNALS,
+  normKey,
+  parseScore,
+  recordSignal,
+  ingest,
+  getProgress,
+  getAdaptation,
+};
@@ -0,0 +1,132 @@
+// src/lib/memory.js
+'use strict';
+const { askLLM, estimateTokensFromText } = require('../llm');
+const { enqueueLLM } = require('./llmQueue');
+const { trackUsage } = require('./usage');
+const { prisma } = require('./prisma');
+const { loadHistory } = require('./chatStore');
+const { langInfo, langRule } = require('./i18n');
+
+// -----------------------------
+// Memória da conversa: resumo "rolante" + últimas trocas por orçamento de tokens
+// -----------------------------
+// - O prompt leva as mensagens mais recentes que cabem em CHAT_HISTORY_TOKENS.
+// - O que fica de fora é coberto por Conversation.summary, refeito em segundo
+//   plano (prioridade "background") a cada MEMORY_REFRESH_EVERY mensagens novas.
+// - summaryUntil = createdAt da última mensagem já incorporada ao resumo.
+const HISTORY_TOKENS = Number(process.env.CHAT_HISTORY_TOKENS || 1200);
+const REFRESH_EVERY = Number(process.env.MEMORY_REFRESH_EVERY || 6);   // mensagens (≈ 3 trocas)
+const KEEP_RECENT = Number(process.env.MEMORY_KEEP_RECENT || 4);       // nunca entram no resumo ainda
+const MAX_LOADED = 40;
+const MSG_CHAR_CAP = 1200;
+
+function joinHistoryToText(history = []) {
+  return history.map(m => `${m.role.toUpperCase()}: ${m.content}`).join('\n\n');
+}
+
+/**
+ * Últimas mensagens que cabem em `budget` tokens (de trás p/ frente).
+ * A mais recente sempre entra (cortada se precisar).
+ */
+function selectRecentTurns(history = [], budget = HISTORY_TOKENS) {
+  const out = [];
+  let used = 0;
+  for (let i = history.length - 1; i >= 0; i--) {
+    const m = history[i];
+    const cost = estimateTokensFromText(m.content) + 4;
+    if (used + cost > budget) {
+      if (!out.length) out.unshift({ ...m, content: `${String(m.content).slice(0, budget * 4)} …` });
+      break;
+    }
+    out.unshift(m);
+    used += cost;
+  }
+  return out;
+}
+
+/**
+ * Contexto do /chat para uma conversa.
+ * `fallbackHistory`: history do cliente (legado) quando a conversa ainda não tem mensagens.
+ * `before`: regenerar/editar → só o que veio antes; o resumo só vale se não passar disso.
+ * → { historyText, history, usedMemory, usedCompression }
+ */
+async function buildChatContext({ conversation, fallbackHistory = [], before, budget = HISTORY_TOKENS }) {
+  const loaded = conversation
+    ? await loadHistory(conversation.id, MAX_LOADED, { before })
+    : [];
+  const base = loaded.length ? loaded : (Array.isArray(fallbackHistory) ? fallbackHistory : []);
+  const recent = selectRecentTurns(base, budget);
+  const dropped = base.length - recent.length > 0 || loaded.length >= MAX_LOADED;
+
+  const summary = conversation?.summary;
+  const summaryFits = summary && (!before || (conversation.summaryUntil && conversation.summaryUntil < before));
+  const usedMemory = Boolean(summaryFits && dropped);
+
+  const recentText = joinHistoryToText(recent);
+  const historyText = usedMemory
+    ? `MEMÓRIA DA CONVERSA (resumo):\n${summary}\n\nÚLTIMAS MENSAGENS:\n${recentText}`
+    : recentText;
+  return { historyText, history: recent, usedMemory, usedCompression: dropped };
+}
+
+const inFlight = new Set();
+
+/**
+ * Incorpora ao resumo as mensagens antigas ainda não resumidas, se já juntou
+ * REFRESH_EVERY delas. Fire-and-forget: erros só vão para o log.
+ */
+async function refreshMemory({ userId, conversationId, lang }) {
+  const id = String(conversationId);
+  if (inFlight.has(id)) return null;
+  inFlight.add(id);
+  try {
+    const convo = await prisma.conversation.findUnique({
+      where: { id },
+      select: { summary: true, summaryUntil: true, updatedAt: true },
+    });
+    if (!convo) return null;
+
+    const pending = await prisma.message.findMany({
+      where: {
+        conversationId: id,
+        role: { in: ['user', 'assistant'] },
+        supersededAt: null,
+        ...(convo.summaryUntil ? { createdAt: { gt: convo.summaryUntil } } : {}),
+      },
+      orderBy: { createdAt: 'asc' },
+      select: { role: true, content: true, createdAt: true },
+    });
+    const toFold = pending.slice(0, Math.max(0, pending.length - KEEP_RECENT));
+    if (toFold.length < REFRESH_EVERY) return null;
+
+    const transcript = joinHistoryToText(
+      toFold.map(m => ({ ...m, content: String(m.content).slice(0, MSG_CHAR_CAP) }))
+    ).slice(-12000);
+
+    const out = await enqueueLLM(() => askLLM({
+      system: `Você mantém a memória de uma conversa de estudo em ${langInfo(lang).prompt}.
+- Atualize o resumo com as novas mensagens, sem perder o que já estava nele.
+- Guarde: dúvidas do aluno, conceitos explicados, dificuldades, combinados e exercícios pendentes.
+- Até ~180 palavras, em tópicos curtos. Responda só o resumo.${langRule(lang) ? `\n${langRule(lang)}` : ''}`,
+      user: `RESUMO ATUAL:\n${convo.summary || '(vazio)'}\n\nNOVAS MENSAGENS:\n${transcript}`,
+      max_tokens: 320,
+      temperature: 0.2,
+      onUsage: trackUsage(userId, '/chat/memory'),
+    }), { userId, priority: 'background' });
+
+    if (typeof out !== 'string' || !out.trim()) return null;
+    await prisma.conversation.update({
+      where: { id },
+      data: {
+        summary: out.trim(),
+        summaryUntil: toFold[toFold.length - 1].createdAt,
+        updatedAt: convo.updatedAt, // resumo não é atividade: não reordena a lista
+      },
+    });
+    return out.trim();
+  } finally {
+    inFlight.delete(id);
+  }
+}
+
+module.exports = { buildChatContext, refreshMemory, selectRecentTurns, joinHistoryToText };
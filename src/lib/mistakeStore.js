@@ -0,0 +1,178 @@
+// src/lib/mistakeStore.js
+'use strict';
+const { v4: uuid } = require('uuid');
+
+// -----------------------------
+// Caderno de erros
+// -----------------------------
+// Eventos "mistake": { question, studentAnswer, correctAnswer, explanation,
+//   materia, topic, source:'manual'|'chat'|'quiz'|'simulado', ref, note,
+//   times, reviewCount, lastReviewedAt, resolved, updatedAt }
+// `ref` identifica a origem (ex.: { quizId, questionId }); errar de novo a mesma
+// questão só incrementa `times` em vez de duplicar. Helpers de evento (db.js)
+// chegam por createMistakeStore.
+const TYP = 'mistake';
+const MAX = 10000;
+const SOURCES = ['manual', 'chat', 'quiz', 'simulado'];
+const nowISO = () => new Date().toISOString();
+
+const refKey = (ref) => (ref ? JSON.stringify(Object.entries(ref).sort()) : null);
+
+function toMistake(ev) {
+  const p = ev.payload;
+  return {
+    id: ev.id,
+    question: p.question,
+    studentAnswer: p.studentAnswer || '',
+    correctAnswer: p.correctAnswer || '',
+    explanation: p.explanation || '',
+    materia: p.materia || 'geral',
+    topic: p.topic || '',
+    source: p.source || 'manual',
+    ref: p.ref || null,
+    note: p.note || '',
+    times: p.times || 1,
+    reviewCount: p.reviewCount || 0,
+    lastReviewedAt: p.lastReviewedAt || null,
+    resolved: !!p.resolved,
+    createdAt: ev.createdAt,
+    updatedAt: p.updatedAt || ev.createdAt,
+  };
+}
+
+function clean(m = {}) {
+  const str = (v, n) => String(v ?? '').trim().slice(0, n);
+  return {
+    question: str(m.question, 2000),
+    studentAnswer: str(m.studentAnswer, 2000),
+    correctAnswer: str(m.correctAnswer, 2000),
+    explanation: str(m.explanation, 2000),
+    materia: str(m.materia, 60) || 'geral',
+    topic: str(m.topic, 80),
+    source: SOURCES.includes(m.source) ? m.source : 'manual',
+    ...(m.ref ? { ref: m.ref } : {}),
+    ...(m.note ? { note: str(m.note, 500) } : {}),
+  };
+}
+
+function createMistakeStore({ addEvent, listEvents, removeEvent } = {}) {
+  if (!addEvent || !listEvents || !removeEvent) throw new Error('mistakes: db helpers ausentes');
+
+  async function getAll(userId) {
+    const rows = await listEvents(userId, MAX);
+    return (rows || []).filter(e => e.type === TYP);
+  }
+
+  // mesmo padrão do planner/kanban: regrava o evento (id e createdAt preservados)
+  async function rewrite(ev) {
+    await removeEvent(ev.id, ev.userId);
+    await addEvent(ev);
+    return ev;
+  }
+
+  /** Grava erros (ignora os sem enunciado); mesma `ref` → incrementa `times`. */
+  async function addMistakes(userId, items = []) {
+    const all = await getAll(userId);
+    const out = [];
+    for (const raw of items) {
+      const m = clean(raw);
+      if (!m.question) continue;
+      const key = refKey(m.ref);
+      const dup = key && all.find(e => refKey(e.payload.ref) === key);
+      if (dup) {
+        dup.payload = {
+          ...dup.payload,
+          studentAnswer: m.studentAnswer || dup.payload.studentAnswer,
+          times: (dup.payload.times || 1) + 1,
+          resolved: false,
+          updatedAt: nowISO(),
+        };
+        await rewrite(dup);
+        out.push(toMistake(dup));
+        continue;
+      }
+      const ev = {
+        id: uuid(),
+        userId,
+        type: TYP,
+        payload: { ...m, times: 1, reviewCount: 0, lastReviewedAt: null, resolved: false, updatedAt: nowISO() },
+        createdAt: nowISO(),
+      };
+      await addEvent(ev);
+      all.push(ev);
+      out.push(toMistake(ev));
+    }
+    return out;
+  }
+
+  /**
+   * Filtros: materia, topic, source, resolved (true/false), q (texto), ids.
+   * Mais recentes primeiro. → { items, total }
+   */
+  async function listMistakes(userId, { materia, topic, source, resolved, q, ids, limit = 50, offset = 0 } = {}) {
+    const low = (s) => String(s || '').toLowerCase();
+    const idSet = Array.isArray(ids) && ids.length ? new Set(ids.map(String)) : null;
+    const rows = (await getAll(userId))
+      .map(toMistake)
+      .filter(m => !idSet || idSet.has(m.id))
+      .filter(m => !materia || low(m.materia) === low(materia))
+      .filter(m => !topic || low(m.topic).includes(low(topic)))
+      .filter(m => !source || m.source === source)
+      .filter(m => typeof resolved !== 'boolean' || m.resolved === resolved)
+      .filter(m => !q || [m.question, m.correctAnswer, m.explanation, m.note].some(t => low(t).includes(low(q))))
+      .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+    const take = Math.max(1, Math.min(200, Number(limit) || 50));
+    const skip = Math.max(0, Number(offset) || 0);
+    return { items: rows.slice(skip, skip + take), total: rows.length };
+  }
+
+  async function getMistake(userId, id) {
+    const ev = (await getAll(userId)).find(e => e.id === id);
+    return ev ? toMistake(ev) : null;
+  }
+
+  const EDITABLE = ['question', 'studentAnswer', 'correctAnswer', 'explanation', 'materia', 'topic', 'note'];
+
+  async function updateMistake(userId, id, patch = {}) {
+    const ev = (await getAll(userId)).find(e => e.id === id);
+    if (!ev) return null;
+    const next = { ...ev.payload };
+    const c = clean({ ...ev.payload, ...patch });
+    for (const k of EDITABLE) if (typeof patch[k] !== 'undefined') next[k] = c[k];
+    if (typeof patch.resolved === 'boolean') next.resolved = patch.resolved;
+    next.updatedAt = nowISO();
+    ev.payload = next;
+    await rewrite(ev);
+    return toMistake(ev);
+  }
+
+  /** Marca os erros como revisados (gerou-se um exercício de revisão com eles). */
+  async function markReviewed(userId, ids = []) {
+    const wanted = new Set(ids.map(String));
+    const at = nowISO();
+    for (const ev of (await getAll(userId)).filter(e => wanted.has(e.id))) {
+      ev.payload = { ...ev.payload, reviewCount: (ev.payload.reviewCount || 0) + 1, lastReviewedAt: at };
+      await rewrite(ev);
+    }
+  }
+
+  async function removeMistake(userId, id) {
+    const ev = (await getAll(userId)).find(e => e.id === id);
+    if (!ev) return false;
+    return (await removeEvent(ev.id, userId)) > 0;
+  }
+
+  return {
+    addMistakes,
+    listMistakes,
+    getMistake,
+    updateMistake,
+    markReviewed,
+    removeMistake,
+  };
+}
+
+module.exports = {
+  SOURCES,
+  createMistakeStore,
+};
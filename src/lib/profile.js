@@ -0,0 +1,121 @@
+// src/lib/profile.js
+'use strict';
+const { z } = require('zod');
+const { Prisma } = require('@prisma/client');
+const { prisma } = require('./prisma');
+const { SUPPORTED_LANGS } = require('./i18n');
+
+// -----------------------------
+// Perfil de estudo (User): persona, nível, idioma, matéria padrão, metas e prova-alvo
+// -----------------------------
+// O app mandava persona/nivel em toda chamada; agora ficam guardados e as rotas
+// (/chat, /chat-with-media, /summarize, /planner/compose) usam o perfil quando
+// o body não traz o campo. O que vier no body sempre vence.
+const PROFILE_SELECT = {
+  level: true, theme: true, lang: true, persona: true, defaultMateria: true,
+  goals: true, targetExam: true, targetExamDate: true,
+};
+
+const PersonaSchema = z.object({
+  tone: z.enum(['didatico', 'formal', 'motivador']).optional(),
+  examples: z.string().trim().max(60).optional(),
+  respLen: z.enum(['curto', 'medio', 'longo']).optional(),
+  favSubject: z.string().trim().max(60).optional(),
+}).strict();
+
+const ProfilePatchSchema = z.object({
+  level: z.string().trim().min(1).max(40).nullable().optional(),
+  theme: z.enum(['light', 'dark']).nullable().optional(),
+  lang: z.enum(SUPPORTED_LANGS).nullable().optional(),
+  persona: PersonaSchema.nullable().optional(),
+  defaultMateria: z.string().trim().min(1).max(60).nullable().optional(),
+  goals: z.array(z.string().trim().min(1).max(200)).max(10).optional(),
+  targetExam: z.string().trim().min(1).max(80).nullable().optional(),
+  targetExamDate: z.string().trim()
+    .refine(s => !isNaN(new Date(s)), 'data inválida')
+    .nullable().optional(),
+}).strict();
+
+function toProfile(u) {
+  return {
+    level: u?.level || null,
+    theme: u?.theme || null,
+    lang: u?.lang || null,
+    persona: u?.persona || {},
+    defaultMateria: u?.defaultMateria || null,
+    goals: u?.goals || [],
+    targetExam: u?.targetExam || null,
+    targetExamDate: u?.targetExamDate ? new Date(u.targetExamDate).toISOString().slice(0, 10) : null,
+  };
+}
+
+/** Perfil do usuário (ids anônimos sem linha em User → perfil vazio). Nunca lança. */
+async function getProfile(userId, { db = prisma } = {}) {
+  try {
+    const u = await db.user.findUnique({ where: { id: String(userId) }, select: PROFILE_SELECT });
+    return toProfile(u);
+  } catch (e) {
+    console.warn('[profile] falha ao ler perfil:', e?.message || e);
+    return toProfile(null);
+  }
+}
+
+// idioma do perfil é lido a cada requisição (middleware de idioma): cache curto
+const LANG_TTL_MS = 5 * 60_000;
+const langCache = new Map(); // userId -> { lang, at }
+
+/** Idioma salvo no perfil (ou null). */
+async function getProfileLang(userId) {
+  const key = String(userId);
+  const hit = langCache.get(key);
+  if (hit && Date.now() - hit.at < LANG_TTL_MS) return hit.lang;
+  const { lang } = await getProfile(key);
+  if (langCache.size > 5000) langCache.clear();
+  langCache.set(key, { lang, at: Date.now() });
+  return lang;
+}
+
+/**
+ * Atualização parcial (null limpa o campo; persona é mesclada campo a campo).
+ * `db`: transação de quem chama (ex.: lib/accountMerge.js). → { profile } ou { error, issues }
+ */
+async function updateProfile(userId, patch = {}, { db = prisma } = {}) {
+  const parsed = ProfilePatchSchema.safeParse(patch);
+  if (!parsed.success) {
+    return { error: 'invalid_profile', issues: parsed.error.issues.slice(0, 5).map(i => `${i.path.join('.')}: ${i.message}`) };
+  }
+  const p = parsed.data;
+  const data = { ...p };
+  if ('targetExamDate' in p) data.targetExamDate = p.targetExamDate ? new Date(p.targetExamDate) : null;
+  if (p.persona === null) data.persona = Prisma.DbNull; // Json? não aceita null puro
+  else if (p.persona) data.persona = { ...(await getProfile(userId, { db })).persona, ...p.persona };
+
+  // ids anônimos ainda não têm User: cria a "casca" (mesma ideia do chatStore.ensureUser)
+  const u = await db.user.upsert({
+    where: { id: String(userId) },
+    create: { id: String(userId), ...data },
+    update: data,
+    select: PROFILE_SELECT,
+  });
+  langCache.delete(String(userId));
+  return { profile: toProfile(u) };
+}
+
+/**
+ * Campos do body com o perfil como padrão.
+ * `persona` pode vir como objeto ou string JSON (multipart do /chat-with-media).
+ */
+function withProfileDefaults(body = {}, profile = toProfile(null)) {
+  let persona = body.persona;
+  if (typeof persona === 'string') {
+    try { persona = JSON.parse(persona || '{}'); } catch { persona = {}; }
+  }
+  return {
+    nivel: body.nivel || profile.level || 'medio',
+    materia: body.materia || profile.defaultMateria || 'geral',
+    persona: { ...profile.persona, ...(persona && typeof persona === 'object' ? persona : {}) },
+    goal: body.goal || profile.goals.join('; '),
+  };
+}
+
+module.exports = { getProfile, getProfileLang, updateProfile, withProfileDefaults };
@@ -0,0 +1,121 @@
+// src/lib/prompts.js
+'use strict';
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { prisma } = require('./prisma');
+
+// -----------------------------
+// Registro de prompts (templates nomeados, versionados, com A/B)
+// -----------------------------
+// Origens:
+//   - arquivos src/prompts/<nome>.<versão>.txt (vão com o deploy)
+//   - tabela PromptTemplate: sobrepõe a versão de mesmo nome e permite subir
+//     versões novas sem deploy (recarregada a cada PROMPTS_REFRESH_MS)
+// Variáveis: {{nome}} (ausente → vazio).
+// A/B: peso por versão em src/prompts/variants.json (ou PromptTemplate.weight).
+// O usuário cai sempre na mesma variante (hash de nome+userId); nenhuma versão
+// com peso → a mais alta. Quem gerou cada resposta/plano fica em meta.prompt
+// ("nome@versão") p/ comparar os votos entre variantes.
+const DIR = path.join(__dirname, '..', 'prompts');
+const FILE_RE = /^([a-z0-9-]+)\.(v\d+[\w-]*)\.txt$/;
+const REFRESH_MS = Number(process.env.PROMPTS_REFRESH_MS || 60_000);
+
+const byVersion = (a, b) => a.localeCompare(b, undefined, { numeric: true });
+
+function loadFiles() {
+  let weights = {};
+  try {
+    weights = JSON.parse(fs.readFileSync(path.join(DIR, 'variants.json'), 'utf8'));
+  } catch (e) {
+    console.warn('[prompts] variants.json ilegível:', e?.message || e);
+  }
+  const out = new Map(); // nome -> Map(versão -> { body, weight, source })
+  for (const file of fs.readdirSync(DIR)) {
+    const m = file.match(FILE_RE);
+    if (!m) continue;
+    const [, name, version] = m;
+    if (!out.has(name)) out.set(name, new Map());
+    out.get(name).set(version, {
+      body: fs.readFileSync(path.join(DIR, file), 'utf8').replace(/\r?\n$/, ''),
+      weight: Number(weights[name]?.[version]) || 0,
+      source: 'file',
+    });
+  }
+  return out;
+}
+
+const fromFiles = loadFiles();
+let registry = fromFiles;
+let loadedAt = 0;
+let loading = null;
+
+/** Recarrega as versões do banco por cima dos arquivos (falha → só arquivos). */
+async function refresh() {
+  try {
+    const rows = await prisma.promptTemplate.findMany({ where: { active: true } });
+    const next = new Map([...fromFiles].map(([name, vs]) => [name, new Map(vs)]));
+    for (const r of rows) {
+      if (!next.has(r.name)) next.set(r.name, new Map());
+      next.get(r.name).set(r.version, { body: r.body, weight: r.weight, source: 'db' });
+    }
+    registry = next;
+  } catch (e) {
+    console.warn('[prompts] falha ao ler PromptTemplate:', e?.message || e);
+  } finally {
+    loadedAt = Date.now();
+    loading = null;
+  }
+}
+
+// render é síncrono: usa o que já está carregado e agenda a recarga em segundo plano
+function maybeRefresh() {
+  if (!loading && Date.now() - loadedAt > REFRESH_MS) loading = refresh();
+}
+
+function bucket(name, userId, total) {
+  const h = crypto.createHash('sha1').update(`${name}:${userId ?? ''}`).digest();
+  return h.readUInt32BE(0) % total;
+}
+
+/** Versão do template p/ o usuário (A/B determinístico). */
+function pick(name, userId) {
+  maybeRefresh();
+  const versions = registry.get(name);
+  if (!versions || !versions.size) throw new Error(`prompts: template "${name}" inexistente`);
+  const weighted = [...versions].filter(([, t]) => t.weight > 0).sort(([a], [b]) => byVersion(a, b));
+  if (!weighted.length) return [...versions.keys()].sort(byVersion).pop();
+  const total = weighted.reduce((s, [, t]) => s + t.weight, 0);
+  let n = bucket(name, userId, total);
+  for (const [version, t] of weighted) {
+    if (n < t.weight) return version;
+    n -= t.weight;
+  }
+  return weighted[weighted.length - 1][0];
+}
+
+/**
+ * Renderiza o template.
+ * `version` fixa uma versão (se existir); senão sorteia pela variante do usuário.
+ * → { text, name, version, ref: "nome@versão" }
+ */
+function render(name, vars = {}, { userId, version } = {}) {
+  const v = version && registry.get(name)?.has(version) ? version : pick(name, userId);
+  const text = registry.get(name).get(v).body
+    .replace(/\{\{\s*(\w+)\s*\}\}/g, (_, k) => (vars[k] ?? '').toString());
+  return { text, name, version: v, ref: `${name}@${v}` };
+}
+
+/** Visão do registro (GET /diag/prompts); com userId inclui a variante de cada template. */
+function describe(userId) {
+  maybeRefresh();
+  return [...registry].map(([name, versions]) => ({
+    name,
+    versions: [...versions]
+      .sort(([a], [b]) => byVersion(a, b))
+      .map(([version, t]) => ({ version, weight: t.weight, source: t.source })),
+    ...(userId ? { assigned: pick(name, userId) } : {}),
+  }));
+}
+
+module.exports = { render, pick, describe, refresh };
@@ -0,0 +1,48 @@
+// src/lib/quizSchema.js
+'use strict';
+const { z } = require('zod');
+
+// -----------------------------
+// Quiz gerado pelo LLM (POST /quiz e revisão do caderno de erros)
+// -----------------------------
+// Formato pedido ao modelo:
+// {"title":"…","questions":[{"prompt":"…","options":["A","B","C","D"],"correctIndex":0,"explanation":"…","topic":"…"}]}
+const QUIZ_JSON_FORMAT = '{"title":"string curta","questions":[{"prompt":"enunciado","options":["A","B","C","D"],"correctIndex":0,"explanation":"por que a certa está certa (e o erro comum)","topic":"subtópico"}]}';
+
+const QuestionSchema = z.object({
+  prompt: z.string().trim().min(5).max(600),
+  options: z.array(z.string().trim().min(1).max(240)).length(4),
+  correctIndex: z.number().int().min(0).max(3),
+  explanation: z.string().trim().min(1).max(800),
+  topic: z.string().trim().max(80).optional(),
+});
+
+const QuizSchema = z.object({
+  title: z.string().trim().min(1).max(120).optional(),
+  questions: z.array(QuestionSchema).min(1).max(10),
+});
+
+// O modelo tende a pôr a certa sempre em "A": embaralha as alternativas aqui.
+function shuffleOptions(q) {
+  const order = q.options.map((_, i) => i);
+  for (let i = order.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+  return { ...q, options: order.map(i => q.options[i]), correctIndex: order.indexOf(q.correctIndex) };
+}
+
+/** { title, questions:[{ id:'q1', … }] } com alternativas embaralhadas, ou null se inválido. */
+function parseQuiz(raw) {
+  const parsed = QuizSchema.safeParse(raw || {});
+  if (!parsed.success) {
+    console.warn('[quiz] zod errors:', parsed.error.issues?.slice(0, 3));
+    return null;
+  }
+  return {
+    title: parsed.data.title || null,
+    questions: parsed.data.questions.map((q, i) => ({ id: `q${i + 1}`, ...shuffleOptions(q) })),
+  };
+}
+
+module.exports = { QUIZ_JSON_FORMAT, parseQuiz };
@@ -0,0 +1,90 @@
+// src/lib/search.js
+'use strict';
+const { Prisma } = require('@prisma/client');
+const { prisma } = require('./prisma');
+
+// -----------------------------
+// Busca textual (Postgres FTS, config "pt_unaccent" — ver migration full_text_search)
+// -----------------------------
+// Tipos devolvidos: chat (mensagens + eventos "chat" legados), summary, plan, card.
+const SEARCH_TYPES = ['chat', 'summary', 'plan', 'card'];
+const EVENT_TYPE = { chat: 'chat', summary: 'summary', plan: 'plan', card: 'kanban' };
+const HEADLINE_OPTS = 'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=18, MinWords=6, FragmentDelimiter=" … "';
+
+function parseTypes(raw) {
+  if (!raw) return SEARCH_TYPES;
+  const list = String(raw).split(',').map(s => s.trim()).filter(Boolean);
+  return list.filter(t => SEARCH_TYPES.includes(t));
+}
+
+/**
+ * Busca nos dados do usuário, ordenado por relevância (depois recência).
+ * `q` aceita a sintaxe do websearch_to_tsquery: "frase exata", -excluir, OR.
+ * → { results: [{ type, id, refId, title, role, snippet, rank, createdAt }], nextOffset }
+ */
+async function searchUserContent(userId, q, { types = SEARCH_TYPES, limit = 20, offset = 0 } = {}) {
+  const take = Math.min(50, Math.max(1, Number(limit) || 20));
+  const skip = Math.max(0, Number(offset) || 0);
+  const uid = String(userId);
+  const query = Prisma.sql`websearch_to_tsquery('pt_unaccent', ${String(q).slice(0, 200)})`;
+
+  const parts = [];
+  if (types.includes('chat')) {
+    parts.push(Prisma.sql`
+      SELECT 'chat' AS type, m.id, m."conversationId" AS "refId", c.title AS title, m.role::text AS role,
+             m."createdAt",
+             ts_rank(to_tsvector('pt_unaccent', m.content), ${query}) AS rank,
+             ts_headline('pt_unaccent', m.content, ${query}, ${HEADLINE_OPTS}) AS snippet
+        FROM "Message" m
+        JOIN "Conversation" c ON c.id = m."conversationId"
+       WHERE c."userId" = ${uid}
+         AND m."supersededAt" IS NULL
+         AND to_tsvector('pt_unaccent', m.content) @@ ${query}`);
+  }
+  const eventTypes = types.map(t => EVENT_TYPE[t]).filter(Boolean);
+  if (eventTypes.length) {
+    parts.push(Prisma.sql`
+      SELECT CASE e.type WHEN 'kanban' THEN 'card' ELSE e.type END AS type, e.id,
+             CASE e.type
+               WHEN 'chat' THEN e.payload->>'conversationId'
+               WHEN 'kanban' THEN e.payload->>'boardId'
+             END AS "refId",
+             CASE e.type
+               WHEN 'chat' THEN left(e.payload->>'question', 80)
+               WHEN 'summary' THEN left(e.payload->>'text', 80)
+               WHEN 'plan' THEN coalesce(e.payload#>>'{plan,meta,titulo}', e.payload->>'objetivoGeral')
+               WHEN 'kanban' THEN e.payload->>'title'
+             END AS title,
+             NULL AS role,
+             e."createdAt",
+             ts_rank(to_tsvector('pt_unaccent', event_search_text(e.type, e.payload)), ${query}) AS rank,
+             ts_headline('pt_unaccent', event_search_text(e.type, e.payload), ${query}, ${HEADLINE_OPTS}) AS snippet
+        FROM "Event" e
+        JOIN "UserEvent" ue ON ue."eventId" = e.id
+       WHERE ue."userId" = ${uid}
+         AND e.type IN (${Prisma.join(eventTypes)})
+         AND (e.type <> 'kanban' OR e.payload->>'kind' = 'card')
+         AND to_tsvector('pt_unaccent', event_search_text(e.type, e.payload)) @@ ${query}`);
+  }
+  if (!parts.length) return { results: [], nextOffset: null };
+
+  const rows = await prisma.$queryRaw`
+    SELECT * FROM (${Prisma.join(parts, ' UNION ALL ')}) r
+     ORDER BY r.rank DESC, r."createdAt" DESC, r.id
+     LIMIT ${take + 1} OFFSET ${skip}`;
+
+  const hasMore = rows.length > take;
+  const results = (hasMore ? rows.slice(0, take) : rows).map(r => ({
+    type: r.type,
+    id: r.id,
+    refId: r.refId || null,
+    title: r.title || null,
+    role: r.role || null,
+    snippet: r.snippet,
+    rank: Number(r.rank),
+    createdAt: r.createdAt instanceof Date ? r.createdAt.toISOString() : r.createdAt,
+  }));
+  return { results, nextOffset: hasMore ? skip + take : null };
+}
+
+module.exports = { searchUserContent, parseTypes, SEARCH_TYPES };
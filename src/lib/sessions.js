@@ -0,0 +1,175 @@
+// src/lib/sessions.js
+'use strict';
+const crypto = require('crypto');
+const { prisma } = require('./prisma');
+const { ensureUser } = require('./chatStore');
+
+// -----------------------------
+// Sessões de login (tabela Session)
+// -----------------------------
+// Refresh token = "<sessionId>.<segredo>"; no banco só o sha256 do segredo.
+// Cada /auth/refresh troca o segredo (rotação). O anterior fica em prevHash:
+// se alguém apresentar um refresh já trocado, o token vazou → a sessão inteira cai.
+// O access token (JWT) carrega `sid`; o middleware confere se a sessão segue ativa
+// (cache curto, ACTIVE_TTL_MS) — revogar derruba o acesso em segundos, não em dias.
+const REFRESH_DAYS = Number(process.env.REFRESH_TOKEN_DAYS || 30);
+const ACTIVE_TTL_MS = 30_000;
+const SEEN_EVERY_MS = 5 * 60_000; // lastSeenAt: no máximo uma escrita a cada 5 min
+
+const hash = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+const newSecret = () => crypto.randomBytes(32).toString('base64url');
+
+function parseRefresh(token) {
+  const m = String(token || '').match(/^([^.\s]+)\.([\w-]{20,})$/);
+  return m ? { sid: m[1], secret: m[2] } : null;
+}
+
+// dados do dispositivo: nome que o app mandar + user-agent e IP da requisição
+function clientInfo(req, device) {
+  return {
+    device: device ? String(device).trim().slice(0, 80) || null : null,
+    userAgent: String(req.get('user-agent') || '').slice(0, 300) || null,
+    ip: req.ip || null,
+  };
+}
+
+/** Abre sessão nova → { session, refreshToken } */
+async function createSession(userId, req, { device } = {}) {
+  await ensureUser(userId); // anônimo também tem sessão (a "casca" do User)
+  const secret = newSecret();
+  const session = await prisma.session.create({
+    data: {
+      userId: String(userId),
+      refreshHash: hash(secret),
+      ...clientInfo(req, device),
+      expiresAt: new Date(Date.now() + REFRESH_DAYS * 86_400_000),
+    },
+  });
+  migratedCache.set(String(userId), { has: true, at: Date.now() });
+  return { session, refreshToken: `${session.id}.${secret}` };
+}
+
+/**
+ * Troca o refresh (rotação). → { session, refreshToken } ou { error }
+ * error: 'invalid' (não existe/expirou/revogada) | 'reuse' (refresh antigo → sessão revogada)
+ */
+async function rotateRefresh(token, req) {
+  const parsed = parseRefresh(token);
+  if (!parsed) return { error: 'invalid' };
+  const s = await prisma.session.findUnique({ where: { id: parsed.sid } });
+  if (!s || s.revokedAt || s.expiresAt <= new Date()) return { error: 'invalid' };
+
+  const h = hash(parsed.secret);
+  if (h !== s.refreshHash) {
+    if (h === s.prevHash) {
+      await revokeSession(s.id, 'reuse');
+      return { error: 'reuse' };
+    }
+    return { error: 'invalid' };
+  }
+
+  const secret = newSecret();
+  const { userAgent, ip } = clientInfo(req);
+  // condicionado ao hash lido: dois refresh simultâneos com o mesmo token → só um troca
+  const { count } = await prisma.session.updateMany({
+    where: { id: s.id, refreshHash: h, revokedAt: null },
+    data: {
+      refreshHash: hash(secret),
+      prevHash: s.refreshHash,
+      lastSeenAt: new Date(),
+      expiresAt: new Date(Date.now() + REFRESH_DAYS * 86_400_000),
+      ...(userAgent ? { userAgent } : {}),
+      ...(ip ? { ip } : {}),
+    },
+  });
+  if (!count) return { error: 'invalid' };
+  activeCache.delete(s.id);
+  return { session: s, refreshToken: `${s.id}.${secret}` };
+}
+
+/** Sessão do refresh (sem trocar) — p/ o logout só com o refresh. */
+async function sessionOfRefresh(token) {
+  const parsed = parseRefresh(token);
+  if (!parsed) return null;
+  const s = await prisma.session.findUnique({ where: { id: parsed.sid } });
+  return s && s.refreshHash === hash(parsed.secret) ? s : null;
+}
+
+async function revokeSession(id, reason = 'revoked') {
+  const { count } = await prisma.session.updateMany({
+    where: { id: String(id), revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: reason },
+  });
+  activeCache.delete(String(id));
+  return count;
+}
+
+/** Revoga todas as sessões do usuário (menos `except`, se vier). → quantas */
+async function revokeAll(userId, { except, reason = 'revoked' } = {}) {
+  const where = { userId: String(userId), revokedAt: null, ...(except ? { NOT: { id: String(except) } } : {}) };
+  const ids = (await prisma.session.findMany({ where, select: { id: true } })).map(s => s.id);
+  if (!ids.length) return 0;
+  await prisma.session.updateMany({
+    where: { id: { in: ids } },
+    data: { revokedAt: new Date(), revokedReason: reason },
+  });
+  ids.forEach(id => activeCache.delete(id));
+  return ids.length;
+}
+
+const migratedCache = new Map(); // userId -> { has, at }
+
+/**
+ * O id já teve alguma sessão (mesmo revogada/expirada)? → já migrou p/ os tokens com refresh.
+ * Consultado nas requisições sem token (authUser); cache curto como o de isSessionActive.
+ */
+async function hasSessions(userId) {
+  const key = String(userId);
+  const hit = migratedCache.get(key);
+  if (hit && Date.now() - hit.at < ACTIVE_TTL_MS) return hit.has;
+  const has = (await prisma.session.count({ where: { userId: key } })) > 0;
+  if (migratedCache.size > 5000) migratedCache.clear();
+  migratedCache.set(key, { has, at: Date.now() });
+  return has;
+}
+
+/** Sessões ativas do usuário, mais recentes primeiro. */
+async function listSessions(userId) {
+  return prisma.session.findMany({
+    where: { userId: String(userId), revokedAt: null, expiresAt: { gt: new Date() } },
+    orderBy: { lastSeenAt: 'desc' },
+    select: { id: true, device: true, userAgent: true, ip: true, createdAt: true, lastSeenAt: true, expiresAt: true },
+  });
+}
+
+const activeCache = new Map(); // sid -> { ok, at }
+
+/** A sessão do access token ainda vale? (chamado a cada requisição; cache curto) */
+async function isSessionActive(sid, userId) {
+  const key = String(sid);
+  const hit = activeCache.get(key);
+  if (hit && Date.now() - hit.at < ACTIVE_TTL_MS) return hit.ok;
+  const s = await prisma.session.findUnique({
+    where: { id: key },
+    select: { userId: true, revokedAt: true, expiresAt: true, lastSeenAt: true },
+  });
+  const ok = !!(s && s.userId === String(userId) && !s.revokedAt && s.expiresAt > new Date());
+  if (activeCache.size > 5000) activeCache.clear();
+  activeCache.set(key, { ok, at: Date.now() });
+  if (ok && Date.now() - new Date(s.lastSeenAt).getTime() > SEEN_EVERY_MS) {
+    prisma.session.update({ where: { id: key }, data: { lastSeenAt: new Date() } })
+      .catch(e => console.warn('session lastSeen error', e?.message || e));
+  }
+  return ok;
+}
+
+module.exports = {
+  createSession,
+  rotateRefresh,
+  sessionOfRefresh,
+  revokeSession,
+  revokeAll,
+  listSessions,
+  hasSessions,
+  isSessionActive,
+};
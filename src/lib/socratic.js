@@ -0,0 +1,210 @@
+// src/lib/socratic.js
+'use strict';
+const { z } = require('zod');
+const { askLLMJson } = require('../llm');
+const { prisma } = require('./prisma');
+const { langInfo, langRule } = require('./i18n');
+
+// -----------------------------
+// Modo "guia" (socrático): o tutor conduz, não entrega a resposta
+// -----------------------------
+// Estado por conversa em Conversation.tutorState:
+//   { problem, solution: { finalAnswer, steps[], explanation } | null,
+//     step, attempts, maxAttempts, status: 'ativo'|'resolvido'|'revelado', verdict, startedAt }
+// A solução é gerada uma vez (oculta) e cada passo do aluno é conferido contra ela.
+// A resolução completa só sai depois de maxAttempts tentativas erradas ou se o aluno pedir.
+const DEFAULT_MAX_ATTEMPTS = Number(process.env.GUIA_MAX_ATTEMPTS || 3);
+const VERDICTS = ['correto', 'parcial', 'incorreto', 'duvida', 'novo_problema'];
+
+// "me dá a resposta", "desisto", "mostra a solução"… (+ es: "me rindo", "dame la respuesta"; en: "I give up", "show me the answer")
+const REVEAL_RE = new RegExp([
+  /desisto|me (d[aá]|diga|fala|mostra)\s+(a\s+)?(resposta|solu[cç][aã]o|resolu[cç][aã]o)/,
+  /(mostra|mostre|quero)\s+(a\s+)?(resposta|solu[cç][aã]o|resolu[cç][aã]o)( completa| final)?/,
+  /me rindo|(dame|dime|mu[eé]strame)\s+(la\s+)?(respuesta|soluci[oó]n|resoluci[oó]n)/,
+  /(muestra|mu[eé]strame|quiero)\s+(la\s+)?(respuesta|soluci[oó]n|resoluci[oó]n)( completa| final)?/,
+  /i give up|(give|tell|show)\s+me\s+(the\s+)?(full\s+|final\s+)?(answer|solution)/,
+].map(r => `\\b(?:${r.source})\\b`).join('|'), 'i');
+
+const SolutionSchema = z.object({
+  finalAnswer: z.string().trim().min(1).max(600),
+  steps: z.array(z.string().trim().min(1).max(400)).min(1).max(10),
+  explanation: z.string().trim().max(2000).optional(),
+});
+
+const CheckSchema = z.object({
+  verdict: z.enum(VERDICTS),
+  stepIndex: z.number().int().min(0).max(20).optional(), // passo (0-based) que o aluno alcançou
+  solved: z.boolean().optional(),
+  note: z.string().trim().max(400).optional(), // o que está certo/errado (só p/ o tutor)
+});
+
+function clampAttempts(n) {
+  const v = Number(n);
+  return Number.isInteger(v) && v >= 1 && v <= 10 ? v : DEFAULT_MAX_ATTEMPTS;
+}
+
+function wantsReveal(message = '') {
+  return REVEAL_RE.test(String(message));
+}
+
+function isActive(state) {
+  return Boolean(state && state.status === 'ativo' && state.problem);
+}
+
+function newState({ problem, solution, maxAttempts }) {
+  return {
+    problem: String(problem).slice(0, 2000),
+    solution,
+    step: 0,
+    attempts: 0,
+    maxAttempts: clampAttempts(maxAttempts),
+    status: 'ativo',
+    verdict: null,
+    startedAt: new Date().toISOString(),
+  };
+}
+
+/** Visão do cliente (sem a solução). */
+function publicState(state) {
+  if (!state) return null;
+  return {
+    status: state.status,
+    attempts: state.attempts,
+    maxAttempts: state.maxAttempts,
+    remaining: Math.max(0, state.maxAttempts - state.attempts),
+    step: state.step,
+    totalSteps: state.solution?.steps?.length || null,
+    verdict: state.verdict,
+  };
+}
+
+/**
+ * Resolve o problema em segredo (JSON validado). null se o modelo falhar —
+ * o guia segue sem gabarito, só com as perguntas.
+ * `gate(fn)` = fila/cancelamento da rota (withLLMGate).
+ */
+async function solveProblem({ problem, materia, nivel, lang, gate, onUsage }) {
+  const raw = await gate(({ signal } = {}) => askLLMJson({
+    system: `Você resolve problemas escolares (${langInfo(lang).prompt}) para um tutor; o aluno NÃO verá isto.
+Responda APENAS JSON: {"finalAnswer":"resposta final curta","steps":["passo 1","passo 2"],"explanation":"resolução completa"}
+- Passos curtos e na ordem em que um aluno deveria chegar neles (máx. 8).${langRule(lang) ? `\n${langRule(lang)}` : ''}`,
+    user: `Matéria: ${materia} | Nível: ${nivel}\nProblema:\n${String(problem).slice(0, 2000)}`,
+    max_tokens: 700,
+    temperature: 0.1,
+    signal,
+    onUsage,
+  }));
+  if (raw?._error) return raw;
+  const parsed = SolutionSchema.safeParse(raw || {});
+  if (!parsed.success) {
+    console.warn('[guia] zod errors (solução):', parsed.error.issues?.slice(0, 3));
+    return null;
+  }
+  return parsed.data;
+}
+
+/** Confere a mensagem do aluno contra a solução oculta. null se o modelo falhar. */
+async function checkStep({ state, message, lang, gate, onUsage }) {
+  const raw = await gate(({ signal } = {}) => askLLMJson({
+    system: `Você confere o passo de um aluno num problema (${langInfo(lang).prompt}). Responda APENAS JSON:
+{"verdict":"correto|parcial|incorreto|duvida|novo_problema","stepIndex":0,"solved":false,"note":"o que está certo/errado"}
+- "duvida": o aluno fez uma pergunta em vez de tentar um passo.
+- "novo_problema": a mensagem é outro exercício, sem relação com o atual.
+- stepIndex: até qual passo da solução (0-based) o aluno chegou corretamente.
+- solved=true só se ele chegou à resposta final correta.${langRule(lang) ? `\n${langRule(lang)}` : ''}`,
+    user: `PROBLEMA:\n${state.problem}\n\nSOLUÇÃO (oculta):\n${state.solution
+      ? `${state.solution.steps.map((s, i) => `${i}. ${s}`).join('\n')}\nResposta final: ${state.solution.finalAnswer}`
+      : '(indisponível — avalie você mesmo)'}\n\nPASSO ATUAL DO ALUNO: ${state.step}\n\nMENSAGEM DO ALUNO:\n${String(message).slice(0, 1500)}`,
+    max_tokens: 200,
+    temperature: 0,
+    signal,
+    onUsage,
+  }));
+  if (raw?._error) return raw;
+  const parsed = CheckSchema.safeParse(raw || {});
+  if (!parsed.success) {
+    console.warn('[guia] zod errors (conferência):', parsed.error.issues?.slice(0, 3));
+    return null;
+  }
+  return parsed.data;
+}
+
+/** Aplica a conferência ao estado (tentativas, passo, status). Não muta `state`. */
+function advance(state, check, { reveal = false } = {}) {
+  const next = { ...state, verdict: check?.verdict || null };
+  if (check) {
+    const progressed = check.verdict === 'correto' || check.verdict === 'parcial';
+    if (progressed && Number.isInteger(check.stepIndex)) next.step = Math.max(state.step, check.stepIndex + 1);
+    if (check.verdict === 'incorreto' || check.verdict === 'parcial') next.attempts = state.attempts + 1;
+    if (check.solved) next.status = 'resolvido';
+  }
+  if (next.status === 'ativo' && (reveal || next.attempts >= next.maxAttempts)) next.status = 'revelado';
+  return next;
+}
+
+/**
+ * Regras extras + fechamento do prompt do tutor p/ este turno.
+ * → { extraRules: string[], closing: string }
+ */
+function guiaPrompt(state, check) {
+  const sol = state.solution;
+  const hidden = sol
+    ? `- SOLUÇÃO DE REFERÊNCIA (NÃO MOSTRE ao aluno, use só para guiar):\n  Passos: ${sol.steps.map((s, i) => `(${i + 1}) ${s}`).join(' ')}\n  Resposta final: ${sol.finalAnswer}`
+    : '';
+  const progress = `- Problema em andamento: ${state.problem.slice(0, 600)}\n- O aluno já concluiu ${state.step} de ${sol?.steps?.length || '?'} passos; tentativas erradas: ${state.attempts}/${state.maxAttempts}.`;
+
+  if (state.status === 'revelado') {
+    return {
+      extraRules: [
+        progress,
+        hidden,
+        '- Agora apresente a resolução completa, passo a passo, e a resposta final; aponte onde o aluno se perdeu.',
+      ],
+      closing: '- Termine sugerindo um exercício parecido para ele tentar sozinho (sem a resposta).',
+    };
+  }
+  if (state.status === 'resolvido') {
+    return {
+      extraRules: [progress, hidden, '- O aluno chegou à resposta certa: confirme, elogie com moderação e recapitule o raciocínio em 2–3 linhas.'],
+      closing: '- Termine com um "Próximo passo" (1 linha).',
+    };
+  }
+
+  const byVerdict = {
+    correto: '- O último passo do aluno está CORRETO: confirme brevemente e conduza ao próximo passo.',
+    parcial: '- O último passo está PARCIALMENTE certo: valorize o que acertou e aponte, com uma pergunta, o que falta.',
+    incorreto: '- O último passo está INCORRETO: não corrija entregando a conta; faça uma pergunta que o leve a perceber o erro.',
+    duvida: '- O aluno fez uma pergunta: responda o conceito sem resolver o problema por ele.',
+  };
+  return {
+    extraRules: [
+      progress,
+      hidden,
+      check?.verdict && byVerdict[check.verdict],
+      check?.note && `- Conferência do passo (só p/ você): ${check.note}`,
+      '- NUNCA dê a resposta final nem a resolução completa; no máximo uma dica por vez.',
+      '- Se ele pedir a resposta, diga que pode revelar quando ele quiser (basta pedir "mostra a resolução").',
+    ].filter(Boolean),
+    closing: '- Termine com UMA pergunta-guia para o aluno responder.',
+  };
+}
+
+async function saveState(conversationId, state) {
+  await prisma.conversation.update({
+    where: { id: String(conversationId) },
+    data: { tutorState: state },
+  });
+}
+
+module.exports = {
+  DEFAULT_MAX_ATTEMPTS,
+  wantsReveal,
+  isActive,
+  newState,
+  publicState,
+  solveProblem,
+  checkStep,
+  advance,
+  guiaPrompt,
+  saveState,
+};
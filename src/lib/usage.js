@@ -0,0 +1,146 @@
+// src/lib/usage.js
+'use strict';
+const { prisma } = require('./prisma');
+
+// -----------------------------
+// Ledger de uso + cotas por tier
+// -----------------------------
+// Unidade: tokens (prompt + completion) reportados pelo provedor via onUsage.
+// Cotas por tier (User.plan; ids anônimos contam como "free").
+// Sobrescreva com USAGE_QUOTAS='{"free":{"daily":20000,"monthly":300000}}'.
+// 0 ou ausente = sem limite naquela janela.
+const DEFAULT_QUOTAS = {
+  free: { daily: 40_000, monthly: 600_000 },
+  pro:  { daily: 400_000, monthly: 6_000_000 },
+};
+
+function loadQuotas() {
+  let custom = {};
+  try { custom = JSON.parse(process.env.USAGE_QUOTAS || '{}') || {}; } catch {
+    console.warn('[usage] USAGE_QUOTAS inválido; usando padrão');
+  }
+  const out = { ...DEFAULT_QUOTAS };
+  for (const [tier, q] of Object.entries(custom)) out[tier] = { ...(out[tier] || {}), ...q };
+  return out;
+}
+const QUOTAS = loadQuotas();
+
+function startOfDay(d = new Date()) {
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate());
+}
+function startOfMonth(d = new Date()) {
+  return new Date(d.getFullYear(), d.getMonth(), 1);
+}
+
+async function getTier(userId) {
+  try {
+    const u = await prisma.user.findUnique({ where: { id: String(userId) }, select: { plan: true } });
+    return u?.plan || 'free';
+  } catch {
+    return 'free';
+  }
+}
+
+async function sumTokens(userId, since) {
+  const agg = await prisma.llmUsage.aggregate({
+    where: { userId: String(userId), createdAt: { gte: since } },
+    _sum: { promptTokens: true, completionTokens: true },
+  });
+  return (agg._sum.promptTokens || 0) + (agg._sum.completionTokens || 0);
+}
+
+function windowInfo(used, limit, resetsAt) {
+  const lim = Number(limit) || 0;
+  return {
+    used,
+    limit: lim || null,
+    remaining: lim ? Math.max(0, lim - used) : null,
+    resetsAt: resetsAt.toISOString(),
+  };
+}
+
+/** Resumo de consumo do usuário: janelas diária/mensal + quebra por rota no mês. */
+async function getUsageSummary(userId) {
+  const now = new Date();
+  const dayStart = startOfDay(now);
+  const monthStart = startOfMonth(now);
+  const tier = await getTier(userId);
+  const q = QUOTAS[tier] || QUOTAS.free;
+
+  const [dailyUsed, monthlyUsed, byRouteRaw] = await Promise.all([
+    sumTokens(userId, dayStart),
+    sumTokens(userId, monthStart),
+    prisma.llmUsage.groupBy({
+      by: ['route'],
+      where: { userId: String(userId), createdAt: { gte: monthStart } },
+      _sum: { promptTokens: true, completionTokens: true },
+      _count: { _all: true },
+    }),
+  ]);
+
+  return {
+    tier,
+    daily: windowInfo(dailyUsed, q.daily, new Date(dayStart.getTime() + 86_400_000)),
+    monthly: windowInfo(monthlyUsed, q.monthly, new Date(now.getFullYear(), now.getMonth() + 1, 1)),
+    byRoute: byRouteRaw.map(r => ({
+      route: r.route,
+      calls: r._count._all,
+      tokens: (r._sum.promptTokens || 0) + (r._sum.completionTokens || 0),
+    })),
+  };
+}
+
+/**
+ * Verifica cota antes de chamar o LLM.
+ * Falha aberta: se o ledger estiver fora do ar, não bloqueia o aluno.
+ * → { ok:true } | { ok:false, window:'daily'|'monthly', tier, used, limit, resetsAt }
+ */
+async function checkQuota(userId) {
+  try {
+    const s = await getUsageSummary(userId);
+    for (const w of ['daily', 'monthly']) {
+      const info = s[w];
+      if (info.limit && info.used >= info.limit) {
+        return { ok: false, window: w, tier: s.tier, used: info.used, limit: info.limit, resetsAt: info.resetsAt };
+      }
+    }
+    return { ok: true };
+  } catch (e) {
+    console.warn('[usage] checkQuota falhou (liberando):', e?.message || e);
+    return { ok: true };
+  }
+}
+
+/** Corpo padrão do 429 quota_exceeded. */
+function quotaErrorBody(q) {
+  return {
+    error: 'quota_exceeded',
+    window: q.window,
+    tier: q.tier,
+    used: q.used,
+    limit: q.limit,
+    resetsAt: q.resetsAt,
+  };
+}
+
+async function recordUsage({ userId, route, provider, model, promptTokens = 0, completionTokens = 0 }) {
+  await prisma.llmUsage.create({
+    data: {
+      userId: String(userId || 'anon'),
+      route: String(route || 'unknown'),
+      provider: provider || null,
+      model: String(model || 'unknown'),
+      promptTokens: Math.max(0, Math.round(Number(promptTokens) || 0)),
+      completionTokens: Math.max(0, Math.round(Number(completionTokens) || 0)),
+    },
+  });
+}
+
+/** Callback p/ o onUsage do llm.js; grava em segundo plano. */
+function trackUsage(userId, route) {
+  return (u) => {
+    recordUsage({ userId, route, ...u }).catch(e => console.warn('[usage] falha ao gravar ledger:', e?.message || e));
+  };
+}
+
+module.exports = { checkQuota, quotaErrorBody, getUsageSummary, recordUsage, trackUsage };
@@ -1,11 +1,8 @@
 'use strict';
 require('dotenv').config();
 
-let OpenAI;
-try { OpenAI = require('openai'); } catch {}
+const { getProvider, resolveProviderName, listProviders } = require('./lib/llmProviders');
 
-const OPENAI_API_KEY      = process.env.OPENAI_API_KEY || '';
-const DEFAULT_MODEL       = process.env.OPENAI_MODEL || 'gpt-4o-mini';
 const DEFAULT_TIMEOUT_MS  = Number(process.env.OPENAI_TIMEOUT_MS || 55_000);
 const OPENAI_RPM_LIMIT    = Number(process.env.OPENAI_RPM_LIMIT || 3);
 const OPENAI_TPM_LIMIT    = Number(process.env.OPENAI_TPM_LIMIT || 12_000); // conservador
@@ -13,25 +10,40 @@ const OPENAI_TPM_LIMIT    = Number(process.env.OPENAI_TPM_LIMIT || 12_000); // c
 // -----------------------------
 // Utils / infra
 // -----------------------------
-function newClient() {
-  if (!OPENAI_API_KEY) throw new Error('OPENAI_API_KEY ausente no .env');
-  if (!OpenAI) throw new Error("Pacote 'openai' não instalado. Rode: npm i openai");
-  return new OpenAI({ apiKey: OPENAI_API_KEY, timeout: DEFAULT_TIMEOUT_MS });
+function newClient(providerName) {
+  return getProvider(providerName).createClient({ timeoutMs: DEFAULT_TIMEOUT_MS });
+}
+
+/**
+ * Resolve provedor/modelo da chamada e aplica os gates.
+ * Provedor: parâmetro `provider` da chamada > LLM_PROVIDER > 'openai'.
+ * Os gates RPM/TPM só se aplicam a provedores com `gated` (conta OpenAI).
+ */
+async function prepareCall({ provider, model, tokensNeeded }) {
+  const prov = getProvider(provider);
+  if (prov.gated) {
+    await tpmGate(tokensNeeded);
+    await rpmGate();
+    await softThrottle();
+  }
+  return { prov, client: newClient(prov.name), model: model || prov.defaultModel };
 }
 
 /** Retry só para erros de rede/5xx (NÃO 429). */
 async function withRetry(a, b) {
-  let fn, retries = 4, baseDelay = 800;
+  let fn, retries = 4, baseDelay = 800, signal;
   if (typeof a === 'function') {
     fn = a;
     if (b && typeof b === 'object') {
       if (Number.isInteger(b.retries))   retries   = b.retries;
       if (Number.isFinite(b.baseDelay))  baseDelay = b.baseDelay;
+      signal = b.signal;
     }
   } else if (a && typeof a === 'object' && typeof a.fn === 'function') {
     fn = a.fn;
     if (Number.isInteger(a.retries))   retries   = a.retries;
     if (Number.isFinite(a.baseDelay))  baseDelay = a.baseDelay;
+    signal = a.signal;
   } else {
     throw new Error('withRetry: uso inválido — passe uma função ou { fn }');
   }
@@ -47,8 +59,8 @@ async function withRetry(a, b) {
         [408, 409, 500, 502, 503, 504].includes(status) ||
         e?.code === 'ETIMEDOUT' || e?.code === 'ECONNRESET';
 
-      // 429 é tratado pelos gates/cooldown — não retentar aqui
-      if (!retriable || i === retries) break;
+      // 429 é tratado pelos gates/cooldown — não retentar aqui; cliente saiu → nem tenta de novo
+      if (!retriable || i === retries || signal?.aborted) break;
 
       const jitter = Math.floor(Math.random() * 250);
       const waitMs = baseDelay * Math.pow(2, i) + jitter;
@@ -79,6 +91,19 @@ function buildTokenCost({ system, user, max_tokens }) {
   return inTok + outTok;
 }
 
+// repassa o usage real (ou estimado, se o provedor não mandar) p/ o ledger de quem chamou
+function reportUsage(onUsage, { provider, model, usage, promptText, promptEstimate, completionText }) {
+  if (typeof onUsage !== 'function') return;
+  try {
+    onUsage({
+      provider,
+      model,
+      promptTokens: usage?.prompt_tokens ?? promptEstimate ?? estimateTokensFromText(promptText),
+      completionTokens: usage?.completion_tokens ?? estimateTokensFromText(completionText),
+    });
+  } catch {}
+}
+
 function parseRetryAfter(e) {
   try {
     const hdr = e?.response?.headers?.['retry-after'];
@@ -187,16 +212,14 @@ async function softThrottle() {
 async function askLLM({
   system, user,
   max_tokens = 480, temperature = 0.3,
-  model = DEFAULT_MODEL, timeoutMs = DEFAULT_TIMEOUT_MS
+  model, provider, timeoutMs = DEFAULT_TIMEOUT_MS, signal, onUsage
 }) {
   try {
     const tokensNeeded = buildTokenCost({ system, user, max_tokens });
-    await tpmGate(tokensNeeded);
-    await rpmGate();
-    await softThrottle();
-
-    const client = newClient();
-    logLLM('req', { kind: 'chat', model, temperature, max_tokens });
+    const call = await prepareCall({ provider, model, tokensNeeded });
+    const { client } = call;
+    model = call.model;
+    logLLM('req', { kind: 'chat', provider: call.prov.name, model, temperature, max_tokens });
 
     const run = () => client.chat.completions.create({
       model,
@@ -206,9 +229,9 @@ async function askLLM({
       ],
       temperature,
       max_tokens,
-    }, { timeout: timeoutMs });
+    }, { timeout: timeoutMs, signal });
 
-    const resp = await withRetry(run, { retries: 2, baseDelay: 800 });
+    const resp = await withRetry(run, { retries: 2, baseDelay: 800, signal });
     // tenta pegar usage real; senão usa a estimativa
     try {
       const u = resp?.usage;
@@ -216,9 +239,11 @@ async function askLLM({
     } catch { _lastTPMUsed = tokensNeeded; }
 
     const content = resp?.choices?.[0]?.message?.content?.trim() || null;
+    reportUsage(onUsage, { provider: call.prov.name, model, usage: resp?.usage, promptText: `${system || ''}${user || ''}`, completionText: content });
     logLLM('ok', { kind: 'chat', haveContent: !!content });
     return content;
   } catch (e) {
+    if (signal?.aborted) return { _error: 'cancelled' };
     const status = e?.status || e?.response?.status;
     const raw = e?.response?.data || e?.message || e;
         console.error('askLLM error:', raw);
@@ -241,20 +266,82 @@ async function askLLM({
   }
 }
 
+/**
+ * Chat em streaming. Chama onDelta(texto) a cada pedaço recebido e, no fim,
+ * retorna o texto completo (mesmo contrato do askLLM: string, null ou {_error}).
+ * `signal` (AbortSignal) interrompe o stream, ex.: cliente HTTP desconectou.
+ */
+async function askLLMStream({
+  system, user, onDelta,
+  max_tokens = 480, temperature = 0.3,
+  model, provider, timeoutMs = DEFAULT_TIMEOUT_MS, signal, onUsage
+}) {
+  try {
+    const tokensNeeded = buildTokenCost({ system, user, max_tokens });
+    const call = await prepareCall({ provider, model, tokensNeeded });
+    const { client } = call;
+    model = call.model;
+    logLLM('req', { kind: 'stream', provider: call.prov.name, model, temperature, max_tokens });
+
+    // sem retry: depois do 1º token não dá pra repetir sem duplicar texto no cliente
+    const stream = await client.chat.completions.create({
+      model,
+      stream: true,
+      stream_options: { include_usage: true },
+      messages: [
+        ...(system ? [{ role: 'system', content: String(system) }] : []),
+        { role: 'user', content: String(user || '') },
+      ],
+      temperature,
+      max_tokens,
+    }, { timeout: timeoutMs, signal });
+
+    let full = '';
+    let usage = null;
+    for await (const chunk of stream) {
+      if (signal?.aborted) break;
+      const delta = chunk?.choices?.[0]?.delta?.content || '';
+      if (chunk?.usage) usage = chunk.usage;
+      if (!delta) continue;
+      full += delta;
+      try { onDelta?.(delta); } catch {}
+    }
+    _lastTPMUsed = (usage?.prompt_tokens || 0) + (usage?.completion_tokens || 0) || tokensNeeded;
+
+    const content = full.trim() || null;
+    reportUsage(onUsage, { provider: call.prov.name, model, usage, promptText: `${system || ''}${user || ''}`, completionText: full });
+    logLLM('ok', { kind: 'stream', haveContent: !!content, aborted: !!signal?.aborted });
+    return content;
+  } catch (e) {
+    if (signal?.aborted) return null;
+    const status = e?.status || e?.response?.status;
+    console.error('askLLMStream error:', e?.response?.data || e?.message || e);
+    if (status === 429) {
+      const kind = classify429(e);
+      if (kind === 'insufficient_quota') {
+        return { _error: 'insufficient_quota', status: 429 };
+      } else {
+        const retryAfterSec = parseRetryAfter(e) ?? 30;
+        _cooldownUntil = Date.now() + (retryAfterSec * 1000);
+        return { _error: 'rate_limit', status: 429, retryAfterSec };
+      }
+    }
+    return null;
+  }
+}
+
 /** Forçar JSON (retorna objeto, null ou {_error:'rate_limit',...}) */
 async function askLLMJson({
   system, user,
   max_tokens = 900, temperature = 0.2,
-  model = DEFAULT_MODEL, timeoutMs = DEFAULT_TIMEOUT_MS
+  model, provider, timeoutMs = DEFAULT_TIMEOUT_MS, signal, onUsage
 }) {
   try {
     const tokensNeeded = buildTokenCost({ system, user, max_tokens });
-    await tpmGate(tokensNeeded);
-    await rpmGate();
-    await softThrottle();
-
-    const client = newClient();
-    logLLM('req', { kind: 'json', model, temperature, max_tokens });
+    const call = await prepareCall({ provider, model, tokensNeeded });
+    const { client } = call;
+    model = call.model;
+    logLLM('req', { kind: 'json', provider: call.prov.name, model, temperature, max_tokens });
 
     const run = () => client.chat.completions.create({
       model,
@@ -265,20 +352,22 @@ async function askLLMJson({
       ],
       temperature,
       max_tokens,
-    }, { timeout: timeoutMs });
+    }, { timeout: timeoutMs, signal });
 
-    const resp = await withRetry(run, { retries: 2, baseDelay: 800 });
+    const resp = await withRetry(run, { retries: 2, baseDelay: 800, signal });
     try {
       const u = resp?.usage;
       _lastTPMUsed = (u?.prompt_tokens || 0) + (u?.completion_tokens || 0) || tokensNeeded;
     } catch { _lastTPMUsed = tokensNeeded; }
 
     const text = resp?.choices?.[0]?.message?.content || '';
+    reportUsage(onUsage, { provider: call.prov.name, model, usage: resp?.usage, promptText: `${system || ''}${user || ''}`, completionText: text });
     try { return JSON.parse(text); } catch {}
     const m = String(text).match(/\{[\s\S]*\}$/);
     if (m) { try { return JSON.parse(m[0]); } catch {} }
     return null; // JSON ruim → deixa caller decidir fallback
   } catch (e) {
+        if (signal?.aborted) return { _error: 'cancelled' };
         const status = e?.status || e?.response?.status;
         if (status === 429) {
           const kind = classify429(e);
@@ -299,7 +388,7 @@ async function askLLMJson({
 async function askLLMVision({
   system, text, imagesBase64 = [],
   max_tokens = 480, temperature = 0.3,
-  model = DEFAULT_MODEL, timeoutMs = DEFAULT_TIMEOUT_MS
+  model, provider, timeoutMs = DEFAULT_TIMEOUT_MS, signal, onUsage
 }) {
   try {
     // estima: prompt + “peso visual” simbólico + saída (só p/ gate)
@@ -307,11 +396,9 @@ async function askLLMVision({
     const visionTok = 1000;
     const tokensNeeded = textTok + visionTok + Math.max(0, Number(max_tokens || 0));
 
-    await tpmGate(tokensNeeded);
-    await rpmGate();
-    await softThrottle();
-
-    const client = newClient();
+    const call = await prepareCall({ provider, model, tokensNeeded });
+    const { client } = call;
+    model = call.model;
     const content = [];
     const trimmed = (text || '').trim();
     if (trimmed) content.push({ type:'text', text: trimmed.slice(0, 1200) });
@@ -327,16 +414,22 @@ async function askLLMVision({
       ],
       temperature,
       max_tokens,
-    }, { timeout: timeoutMs });
+    }, { timeout: timeoutMs, signal });
 
-    const resp = await withRetry(run, { retries: 2, baseDelay: 800 });
+    const resp = await withRetry(run, { retries: 2, baseDelay: 800, signal });
     try {
       const u = resp?.usage;
       _lastTPMUsed = (u?.prompt_tokens || 0) + (u?.completion_tokens || 0) || tokensNeeded;
     } catch { _lastTPMUsed = tokensNeeded; }
 
-    return resp?.choices?.[0]?.message?.content?.trim() || null;
+    const answer = resp?.choices?.[0]?.message?.content?.trim() || null;
+    reportUsage(onUsage, {
+      provider: call.prov.name, model, usage: resp?.usage,
+      promptEstimate: textTok + visionTok, completionText: answer
+    });
+    return answer;
   } catch (e) {
+        if (signal?.aborted) return { _error: 'cancelled' };
         const status = e?.status || e?.response?.status;
         if (status === 429) {
           const kind = classify429(e);
@@ -354,26 +447,36 @@ async function askLLMVision({
 }
 
 /** OCR simplificado usando visão */
-async function ocrImageBase64(b64, { model = DEFAULT_MODEL, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+async function ocrImageBase64(b64, {
+  system = 'Extraia APENAS o texto visível. Não comente, não traduza.',
+  model, provider, timeoutMs = DEFAULT_TIMEOUT_MS, signal, onUsage
+} = {}) {
   return askLLMVision({
-    system: 'Extraia APENAS o texto visível. Não comente, não traduza.',
+    system,
     text: 'Extraia apenas o texto desta imagem.',
     imagesBase64: [b64],
     max_tokens: 600,
     temperature: 0,
     model,
-    timeoutMs
+    provider,
+    timeoutMs,
+    signal,
+    onUsage
   });
 }
 
 // -----------------------------
 module.exports = {
   askLLM,
+  askLLMStream,
   askLLMJson,
   askLLMVision,
   ocrImageBase64,
   withRetry,
+  estimateTokensFromText,
   // diags
+  getProviderName: () => resolveProviderName(),
+  listProviders,
   getRpmState,
   getTpmState,
   getCooldownMs
@@ -0,0 +1,258 @@
+// src/mistakes.js
+'use strict';
+const { z } = require('zod');
+const { SOURCES } = require('./lib/mistakeStore');
+const { QUIZ_JSON_FORMAT, parseQuiz } = require('./lib/quizSchema');
+const { findOwnMessage, loadHistory } = require('./lib/chatStore');
+const { langInfo, langRule } = require('./lib/i18n');
+
+module.exports = function registerMistakes(
+  app,
+  {
+    addEvent, uuid, askLLMJson, mistakeStore,
+    withLLMGate, llmGateOpts, sendLLMError, checkQuota, quotaErrorBody, trackUsage
+  }
+) {
+  if (!app) throw new Error('mistakes: app inexistente');
+  if (!addEvent || !uuid) throw new Error('mistakes: db helpers/uuid ausentes');
+  if (!mistakeStore) throw new Error('mistakes: mistakeStore ausente');
+  if (!askLLMJson) throw new Error('mistakes: askLLMJson ausente');
+
+  const { addMistakes, listMistakes, getMistake, updateMistake, markReviewed, removeMistake } = mistakeStore;
+
+  const MAX_REVIEW = 8;
+  const nowISO = () => new Date().toISOString();
+
+  async function gate(req, res, fn) {
+    return withLLMGate ? withLLMGate(fn, llmGateOpts(req, res, 'chat')) : fn();
+  }
+
+  async function quotaBlocked(res, userId) {
+    if (!checkQuota) return false;
+    const quota = await checkQuota(userId);
+    if (quota.ok) return false;
+    res.status(429).json(quotaErrorBody(quota));
+    return true;
+  }
+
+  function parseBool(v) {
+    if (v === true || v === 'true' || v === '1') return true;
+    if (v === false || v === 'false' || v === '0') return false;
+    return undefined;
+  }
+
+  const ExtractSchema = z.object({
+    mistakes: z.array(z.object({
+      question: z.string().trim().min(3).max(2000),
+      studentAnswer: z.string().trim().max(2000).optional(),
+      correctAnswer: z.string().trim().min(1).max(2000),
+      explanation: z.string().trim().max(2000).optional(),
+      topic: z.string().trim().max(80).optional(),
+    })).max(10),
+  });
+
+  /* =========================
+   * Rotas
+   * ========================= */
+  // GET /mistakes?userId&materia&topic&source&resolved&q&limit&offset → { items, total }
+  app.get('/mistakes', async (req, res) => {
+    try {
+      const { userId, materia, topic, source, resolved, q, limit, offset } = req.query || {};
+      if (!userId) return res.status(400).json({ error: 'userId é obrigatório' });
+      if (source && !SOURCES.includes(source)) {
+        return res.status(400).json({ error: `source inválido (use ${SOURCES.join(', ')})` });
+      }
+      const out = await listMistakes(userId, {
+        materia, topic, source, q, limit, offset, resolved: parseBool(resolved),
+      });
+      return res.json(out);
+    } catch (e) {
+      console.error('GET /mistakes error', e);
+      return res.status(500).json({ error: 'erro interno' });
+    }
+  });
+
+  // POST /mistakes { userId, question, correctAnswer, studentAnswer?, explanation?, materia?, topic?, note? }
+  app.post('/mistakes', async (req, res) => {
+    try {
+      const { userId, ...m } = req.body || {};
+      if (!userId || typeof m.question !== 'string' || !m.question.trim()) {
+        return res.status(400).json({ error: 'userId e question são obrigatórios' });
+      }
+      const [mistake] = await addMistakes(userId, [{ ...m, source: 'manual', ref: null }]);
+      return res.json({ mistake });
+    } catch (e) {
+      console.error('POST /mistakes error', e);
+      return res.status(500).json({ error: 'erro interno' });
+    }
+  });
+
+  // POST /mistakes/from-chat { userId, historyId }
+  // O aluno pede "anota no caderno de erros" sobre uma correção do tutor
+  // (modos exercicios/quiz): o LLM separa o que ele errou na conversa até ali.
+  app.post('/mistakes/from-chat', async (req, res) => {
+    try {
+      const { userId, historyId } = req.body || {};
+      if (!userId || !historyId) return res.status(400).json({ error: 'userId e historyId são obrigatórios' });
+
+      const msg = await findOwnMessage(userId, historyId);
+      if (!msg || msg.role !== 'assistant') return res.status(404).json({ error: 'Mensagem não encontrada' });
+      if (await quotaBlocked(res, userId)) return;
+
+      // exercícios propostos → resposta do aluno → correção (esta mensagem)
+      const before = new Date(new Date(msg.createdAt).getTime() + 1);
+      const history = await loadHistory(msg.conversationId, 6, { before });
+      const transcript = history
+        .map(m => `${m.role.toUpperCase()}: ${String(m.content).slice(0, 1500)}`)
+        .join('\n\n')
+        .slice(-8000);
+      const materia = msg.meta?.materia || 'geral';
+
+      const raw = await gate(req, res, ({ signal } = {}) => askLLMJson({
+        system: `Você monta o caderno de erros de um estudante (${langInfo(req.lang).prompt}) a partir de uma conversa com o tutor.
+- Responda APENAS JSON: {"mistakes":[{"question":"enunciado completo","studentAnswer":"o que o aluno respondeu","correctAnswer":"resposta certa","explanation":"por que (curto)","topic":"subtópico"}]}
+- Só inclua exercícios que o aluno ERROU (ou deixou em branco). Nenhum erro → {"mistakes":[]}.
+- Não invente exercícios que não estão na conversa.${langRule(req.lang) ? `\n${langRule(req.lang)}` : ''}`,
+        user: `Matéria: ${materia}\n\nCONVERSA:\n${transcript}`,
+        max_tokens: 900,
+        temperature: 0,
+        signal,
+        onUsage: trackUsage ? trackUsage(userId, '/mistakes/from-chat') : undefined,
+      }));
+      if (sendLLMError && sendLLMError(res, raw)) return;
+
+      const parsed = ExtractSchema.safeParse(raw || {});
+      if (!parsed.success) {
+        console.warn('[mistakes] zod errors:', parsed.error.issues?.slice(0, 3));
+        return res.status(502).json({ error: 'extract_invalid', hint: 'o modelo não devolveu os erros num formato válido; tente de novo' });
+      }
+
+      const items = await addMistakes(userId, parsed.data.mistakes.map((m, i) => ({
+        ...m, materia, source: 'chat', ref: { historyId: String(historyId), index: i },
+      })));
+      return res.json({ items });
+    } catch (e) {
+      console.error('POST /mistakes/from-chat error', e);
+      return res.status(500).json({ error: 'erro interno' });
+    }
+  });
+
+  // POST /mistakes/review { userId, ids?, materia?, topic?, count?, nivel? }
+  // Gera um quiz de revisão com questões NOVAS sobre os mesmos pontos dos erros
+  // escolhidos (sem ids: os não resolvidos mais recentes). Responde-se em POST /quiz/:id/answers.
+  app.post('/mistakes/review', async (req, res) => {
+    try {
+      const { userId, ids, materia, topic, nivel = 'medio' } = req.body || {};
+      if (!userId) return res.status(400).json({ error: 'userId é obrigatório' });
+      const count = Math.max(1, Math.min(10, Number(req.body?.count) || 5));
+
+      const { items } = Array.isArray(ids) && ids.length
+        ? await listMistakes(userId, { ids, limit: MAX_REVIEW })
+        : await listMistakes(userId, { materia, topic, resolved: false, limit: MAX_REVIEW });
+      if (!items.length) return res.status(404).json({ error: 'Nenhum erro encontrado para revisar' });
+      if (await quotaBlocked(res, userId)) return;
+
+      const mainMateria = materia || items[0].materia;
+      const raw = await gate(req, res, ({ signal } = {}) => askLLMJson({
+        system: `Você cria exercícios de revisão (${langInfo(req.lang).prompt}) a partir do caderno de erros de um estudante.
+- Responda APENAS JSON válido no formato:
+${QUIZ_JSON_FORMAT}
+- Questões NOVAS que treinem exatamente o ponto em que o aluno errou (não repita os enunciados).
+- Use os erros comuns dele como alternativas erradas plausíveis.
+- Exatamente 4 alternativas por questão, só uma correta; não prefixe com letras.${langRule(req.lang) ? `\n${langRule(req.lang)}` : ''}`,
+        user: `Matéria: ${mainMateria} | Nível: ${nivel}
+Erros do aluno:
+${items.map((m, i) => `${i + 1}. [${m.topic || m.materia}] ${m.question.slice(0, 400)}
+   Respondeu: ${m.studentAnswer.slice(0, 200) || '(em branco)'} | Certo: ${m.correctAnswer.slice(0, 200)}`).join('\n')}
+
+Gere ${count} questões.`,
+        max_tokens: 220 * count + 120,
+        temperature: 0.4,
+        signal,
+        onUsage: trackUsage ? trackUsage(userId, '/mistakes/review') : undefined,
+      }));
+      if (sendLLMError && sendLLMError(res, raw)) return;
+
+      const quiz = parseQuiz(raw);
+      if (!quiz) return res.status(502).json({ error: 'quiz_invalid', hint: 'o modelo não devolveu um quiz válido; tente de novo' });
+
+      const ev = {
+        id: uuid(),
+        userId,
+        type: 'quiz',
+        payload: {
+          materia: mainMateria, nivel,
+          topic: topic || 'Revisão do caderno de erros',
+          title: quiz.title || 'Revisão do caderno de erros',
+          questions: quiz.questions,
+          attempts: [],
+          source: 'mistakes',
+          mistakeIds: items.map(m => m.id),
+        },
+        createdAt: nowISO(),
+      };
+      await addEvent(ev);
+      await markReviewed(userId, items.map(m => m.id));
+
+      return res.json({
+        quiz: {
+          id: ev.id,
+          title: ev.payload.title,
+          materia: ev.payload.materia,
+          nivel,
+          topic: ev.payload.topic,
+          questions: quiz.questions.map(q => ({ id: q.id, prompt: q.prompt, options: q.options, topic: q.topic || null })),
+          attempts: 0,
+          lastScore: null,
+          createdAt: ev.createdAt,
+        },
+        mistakeIds: ev.payload.mistakeIds,
+      });
+    } catch (e) {
+      console.error('POST /mistakes/review error', e);
+      return res.status(500).json({ error: 'erro interno' });
+    }
+  });
+
+  // GET /mistakes/:id?userId
+  app.get('/mistakes/:id', async (req, res) => {
+    try {
+      const { userId } = req.query || {};
+      if (!userId) return res.status(400).json({ error: 'userId é obrigatório' });
+      const mistake = await getMistake(userId, req.params.id);
+      if (!mistake) return res.status(404).json({ error: 'Erro não encontrado' });
+      return res.json({ mistake });
+    } catch (e) {
+      console.error('GET /mistakes/:id error', e);
+      return res.status(500).json({ error: 'erro interno' });
+    }
+  });
+
+  // PATCH /mistakes/:id { userId, materia?, topic?, note?, resolved?, … }
+  app.patch('/mistakes/:id', async (req, res) => {
+    try {
+      const { userId, ...patch } = req.body || {};
+      if (!userId) return res.status(400).json({ error: 'userId é obrigatório' });
+      const mistake = await updateMistake(userId, req.params.id, patch);
+      if (!mistake) return res.status(404).json({ error: 'Erro não encontrado' });
+      return res.json({ mistake });
+    } catch (e) {
+      console.error('PATCH /mistakes/:id error', e);
+      return res.status(500).json({ error: 'erro interno' });
+    }
+  });
+
+  // DELETE /mistakes/:id?userId
+  app.delete('/mistakes/:id', async (req, res) => {
+    try {
+      const { userId } = req.query || {};
+      if (!userId) return res.status(400).json({ error: 'userId é obrigatório' });
+      const ok = await removeMistake(userId, req.params.id);
+      if (!ok) return res.status(404).json({ error: 'Erro não encontrado' });
+      return res.json({ ok });
+    } catch (e) {
+      console.error('DELETE /mistakes/:id error', e);
+      return res.status(500).json({ error: 'erro interno' });
+    }
+  });
+};
@@ -0,0 +1,288 @@
+// src/quiz.js
+'use strict';
+const { QUIZ_JSON_FORMAT, parseQuiz } = require('./lib/quizSchema');
+const { langInfo, langRule } = require('./lib/i18n');
+
+module.exports = function registerQuiz(
+  app,
+  {
+    addEvent, listEvents, removeEvent, uuid, askLLMJson,
+    withLLMGate, llmGateOpts, sendLLMError, checkQuota, quotaErrorBody, trackUsage, ingestMastery, addMistakes
+  }
+) {
+  if (!app) throw new Error('quiz: app inexistente');
+  if (!addEvent || !listEvents || !removeEvent || !uuid) {
+    throw new Error('quiz: db helpers/uuid ausentes');
+  }
+  if (!askLLMJson) throw new Error('quiz: askLLMJson ausente');
+
+  const TYP = 'quiz';
+  const MAX = 10000;
+  const nowISO = () => new Date().toISOString();
+
+  async function getAll(userId) {
+    const rows = await listEvents(userId, MAX);
+    return (rows || []).filter(e => e.type === TYP);
+  }
+
+  async function findQuiz(userId, id) {
+    const all = await getAll(userId);
+    return all.find(e => e.id === id) || null;
+  }
+
+  // mesmo padrão do planner/kanban: regrava o evento (id e createdAt preservados)
+  async function saveQuiz(ev) {
+    await removeEvent(ev.id, ev.userId);
+    await addEvent(ev);
+    return ev;
+  }
+
+  // Visão do aluno: sem gabarito/explicação (só depois de responder)
+  function toPublic(ev) {
+    const p = ev.payload || {};
+    const attempts = Array.isArray(p.attempts) ? p.attempts : [];
+    const last = attempts[attempts.length - 1] || null;
+    return {
+      id: ev.id,
+      title: p.title,
+      materia: p.materia,
+      nivel: p.nivel,
+      topic: p.topic,
+      questions: (p.questions || []).map(q => ({ id: q.id, prompt: q.prompt, options: q.options, topic: q.topic || null })),
+      attempts: attempts.length,
+      lastScore: last ? { score: last.score, total: last.total, at: last.at } : null,
+      createdAt: ev.createdAt,
+    };
+  }
+
+  function scoreByMateria(events) {
+    const acc = new Map();
+    for (const ev of events) {
+      const p = ev.payload || {};
+      const materia = p.materia || 'geral';
+      const cur = acc.get(materia) || { materia, quizzes: 0, attempts: 0, correct: 0, answered: 0, lastAttemptAt: null };
+      cur.quizzes += 1;
+      for (const a of Array.isArray(p.attempts) ? p.attempts : []) {
+        cur.attempts += 1;
+        cur.correct += Number(a.score) || 0;
+        cur.answered += Number(a.total) || 0;
+        if (!cur.lastAttemptAt || a.at > cur.lastAttemptAt) cur.lastAttemptAt = a.at;
+      }
+      acc.set(materia, cur);
+    }
+    return [...acc.values()].map(s => ({
+      ...s,
+      percent: s.answered ? Math.round((s.correct / s.answered) * 100) : null,
+    }));
+  }
+
+  /* =========================
+   * Rotas
+   * ========================= */
+  // POST /quiz { userId, materia?, nivel?, topic, count?, context? }
+  // Gera o quiz (JSON validado), guarda como evento "quiz" e devolve sem o gabarito.
+  app.post('/quiz', async (req, res) => {
+    try {
+      const {
+        userId, materia = 'geral', nivel = 'medio', topic = '', context = '',
+      } = req.body || {};
+      if (!userId) return res.status(400).json({ error: 'userId é obrigatório' });
+      if (typeof topic !== 'string' || !topic.trim()) {
+        return res.status(400).json({ error: 'topic é obrigatório' });
+      }
+      const count = Math.max(1, Math.min(10, Number(req.body?.count) || 5));
+
+      if (checkQuota) {
+        const quota = await checkQuota(userId);
+        if (!quota.ok) return res.status(429).json(quotaErrorBody(quota));
+      }
+
+      const system = `Você cria quizzes de múltipla escolha em ${langInfo(req.lang).prompt} para estudantes.
+- Responda APENAS JSON válido no formato:
+${QUIZ_JSON_FORMAT}
+- Exatamente 4 alternativas por questão, só uma correta, sem "todas/nenhuma das anteriores".
+- Não prefixe as alternativas com letras.
+- Dificuldade adequada ao nível do aluno.${langRule(req.lang) ? `\n${langRule(req.lang)}` : ''}`;
+      const user = `Matéria: ${materia} | Nível: ${nivel}
+Assunto: ${topic.trim().slice(0, 200)}
+${context ? `Contexto (o que o aluno estudou):\n${String(context).slice(0, 1500)}\n` : ''}Gere ${count} questões.`;
+
+      const callQuiz = ({ signal } = {}) => askLLMJson({
+        system, user, max_tokens: 220 * count + 120, temperature: 0.4, signal,
+        onUsage: trackUsage ? trackUsage(userId, '/quiz') : undefined,
+      });
+      const raw = withLLMGate
+        ? await withLLMGate(callQuiz, llmGateOpts(req, res, 'chat'))
+        : await callQuiz();
+      if (sendLLMError && sendLLMError(res, raw)) return;
+
+      const quiz = parseQuiz(raw);
+      if (!quiz) return res.status(502).json({ error: 'quiz_invalid', hint: 'o modelo não devolveu um quiz válido; tente de novo' });
+
+      const ev = {
+        id: uuid(),
+        userId,
+        type: TYP,
+        payload: {
+          materia, nivel,
+          topic: topic.trim().slice(0, 200),
+          title: quiz.title || `Quiz: ${topic.trim().slice(0, 80)}`,
+          questions: quiz.questions,
+          attempts: [],
+        },
+        createdAt: nowISO(),
+      };
+      await addEvent(ev);
+      return res.json({ quiz: toPublic(ev) });
+    } catch (e) {
+      console.error('POST /quiz error', e);
+      return res.status(500).json({ error: 'erro interno' });
+    }
+  });
+
+  // GET /quiz?userId&materia — quizzes do aluno (mais recentes primeiro)
+  app.get('/quiz', async (req, res) => {
+    try {
+      const { userId, materia } = req.query || {};
+      if (!userId) return res.status(400).json({ error: 'userId é obrigatório' });
+      const all = await getAll(userId);
+      const items = all
+        .filter(e => !materia || e.payload?.materia === materia)
+        .map(toPublic)
+        .map(({ questions, ...q }) => ({ ...q, questionsCount: questions.length }));
+      return res.json({ items });
+    } catch (e) {
+      console.error('GET /quiz error', e);
+      return res.status(500).json({ error: 'erro interno' });
+    }
+  });
+
+  // GET /quiz/scores?userId — acertos por matéria (todas as tentativas)
+  app.get('/quiz/scores', async (req, res) => {
+    try {
+      const { userId } = req.query || {};
+      if (!userId) return res.status(400).json({ error: 'userId é obrigatório' });
+      const all = await getAll(userId);
+      return res.json({ scores: scoreByMateria(all) });
+    } catch (e) {
+      console.error('GET /quiz/scores error', e);
+      return res.status(500).json({ error: 'erro interno' });
+    }
+  });
+
+  // GET /quiz/:id?userId
+  app.get('/quiz/:id', async (req, res) => {
+    try {
+      const { userId } = req.query || {};
+      if (!userId) return res.status(400).json({ error: 'userId é obrigatório' });
+      const ev = await findQuiz(userId, req.params.id);
+      if (!ev) return res.status(404).json({ error: 'Quiz não encontrado' });
+      return res.json({ quiz: toPublic(ev) });
+    } catch (e) {
+      console.error('GET /quiz/:id error', e);
+      return res.status(500).json({ error: 'erro interno' });
+    }
+  });
+
+  // POST /quiz/:id/answers { userId, answers: [índice | null, …] } (na ordem das questões)
+  // Correção local; explicação só nas erradas.
+  app.post('/quiz/:id/answers', async (req, res) => {
+    try {
+      const { userId, answers } = req.body || {};
+      if (!userId || !Array.isArray(answers)) {
+        return res.status(400).json({ error: 'userId e answers (array) são obrigatórios' });
+      }
+      const ev = await findQuiz(userId, req.params.id);
+      if (!ev) return res.status(404).json({ error: 'Quiz não encontrado' });
+
+      const questions = ev.payload.questions || [];
+      if (answers.length !== questions.length) {
+        return res.status(400).json({ error: `answers deve ter ${questions.length} itens` });
+      }
+      // índice fora das alternativas → 400 (não grava chosenIndex inexistente)
+      const bad = answers.findIndex((a, i) => Number.isInteger(a) && (a < 0 || a >= questions[i].options.length));
+      if (bad >= 0) {
+        return res.status(400).json({ error: `answers[${bad}] fora das alternativas (0 a ${questions[bad].options.length - 1})` });
+      }
+
+      const results = questions.map((q, i) => {
+        const chosen = Number.isInteger(answers[i]) ? answers[i] : null;
+        const correct = chosen === q.correctIndex;
+        return {
+          questionId: q.id,
+          chosenIndex: chosen,
+          correct,
+          ...(correct ? {} : { correctIndex: q.correctIndex, explanation: q.explanation }),
+        };
+      });
+      const score = results.filter(r => r.correct).length;
+      const attempt = { at: nowISO(), answers: results.map(r => r.chosenIndex), score, total: questions.length };
+
+      ev.payload = { ...ev.payload, attempts: [...(ev.payload.attempts || []), attempt] };
+      await saveQuiz(ev);
+
+      // erradas (ou em branco) → caderno de erros
+      if (addMistakes) {
+        const wrong = questions.filter((_, i) => !results[i].correct).map(q => {
+          const chosen = results.find(r => r.questionId === q.id).chosenIndex;
+          return {
+            question: q.prompt,
+            studentAnswer: chosen === null ? '(em branco)' : q.options[chosen],
+            correctAnswer: q.options[q.correctIndex],
+            explanation: q.explanation,
+            materia: ev.payload.materia,
+            topic: q.topic || ev.payload.topic,
+            source: 'quiz',
+            ref: { quizId: ev.id, questionId: q.id },
+          };
+        });
+        if (wrong.length) addMistakes(userId, wrong).catch(e => console.warn('addMistakes error', e?.message || e));
+      }
+
+      // acertos por subtópico → domínio do aluno
+      if (ingestMastery) {
+        const byTopic = new Map();
+        questions.forEach((q, i) => {
+          const topic = q.topic || ev.payload.topic;
+          const t = byTopic.get(topic) || { correct: 0, total: 0 };
+          t.correct += results[i].correct ? 1 : 0;
+          t.total += 1;
+          byTopic.set(topic, t);
+        });
+        ingestMastery([...byTopic.entries()].map(([topic, t]) => ({
+          userId, materia: ev.payload.materia, topic, score: t.correct / t.total, source: 'quiz',
+        })));
+      }
+
+      const all = await getAll(userId);
+      const materiaScore = scoreByMateria(all).find(s => s.materia === (ev.payload.materia || 'geral')) || null;
+
+      return res.json({
+        score,
+        total: questions.length,
+        percent: Math.round((score / questions.length) * 100),
+        results,
+        materiaScore,
+      });
+    } catch (e) {
+      console.error('POST /quiz/:id/answers error', e);
+      return res.status(500).json({ error: 'erro interno' });
+    }
+  });
+
+  // DELETE /quiz/:id?userId
+  app.delete('/quiz/:id', async (req, res) => {
+    try {
+      const { userId } = req.query || {};
+      if (!userId) return res.status(400).json({ error: 'userId é obrigatório' });
+      const ev = await findQuiz(userId, req.params.id);
+      if (!ev) return res.status(404).json({ error: 'Quiz não encontrado' });
+      const removed = await removeEvent(ev.id, userId);
+      return res.json({ ok: removed > 0 });
+    } catch (e) {
+      console.error('DELETE /quiz/:id error', e);
+      return res.status(500).json({ error: 'erro interno' });
+    }
+  });
+
+};
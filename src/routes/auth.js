@@ -3,18 +3,71 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const { v4: uuid } = require('uuid');
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
+const {
+  signToken, authMode, authenticate, isRegistered, isMerged, forgetUser, requireToken, resolveAnonId,
+} = require('../lib/auth');
+const { mergeAccounts } = require('../lib/accountMerge');
+const {
+  createSession, rotateRefresh, sessionOfRefresh, revokeSession, revokeAll, listSessions, hasSessions,
+} = require('../lib/sessions');
 
-function signToken(user) {
-  const payload = { sub: user.id };
-  const secret = process.env.JWT_SECRET || 'dev_secret';
-  const expiresIn = process.env.JWT_EXPIRES_IN || '15d';
-  return jwt.sign(payload, secret, { expiresIn });
+// Login/cadastro/oauth/anon abrem uma sessão: access token curto (`token`) + refresh
+// rotativo (`refreshToken`, troca em POST /auth/refresh). body.device (opcional)
+// dá nome ao dispositivo na lista de sessões.
+async function issueTokens(req, userId, extra = {}) {
+  const { session, refreshToken } = await createSession(userId, req, { device: req.body?.device });
+  const token = signToken({ id: userId }, { sid: session.id, ...extra });
+  return { token, refreshToken, sessionId: session.id };
 }
 
-// POST /auth/register  { email?, username?, phone?, password, firstName?, lastName?, birthday? }
+// Cadastro/login/oauth com anonToken|anonUserId no body: o que o aluno fez como
+// anônimo passa p/ a conta. Falha no vínculo não derruba o login (→ mergeError).
+async function linkAnonOnLogin(req, userId) {
+  const { anonToken, anonUserId } = req.body || {};
+  if (!anonToken && !anonUserId) return {};
+  try {
+    const src = await resolveAnonId({ anonToken, anonUserId });
+    if (src.error) return { mergeError: src.error };
+    if (src.userId === userId) return {};
+    return { merged: await mergeAccounts(src.userId, userId) };
+  } catch (e) {
+    console.error('link on login error', e);
+    return { mergeError: 'erro interno' };
+  }
+}
+
+// POST /auth/anon { userId?, device? } -> { userId, token, refreshToken, sessionId }
+// Sem userId: id anônimo novo. Com o id anônimo legado (emitido antes dos tokens),
+// fora do AUTH_MODE=strict, emite o token p/ ele — o app migra sem perder o histórico.
+// Só uma vez: id que já tem sessão renova pelo /auth/refresh (senão qualquer um que
+// souber o id ganharia uma sessão nova dele).
+router.post('/anon', async (req, res) => {
+  try {
+    const legacy = String(req.body?.userId || '').trim();
+    if (legacy && authMode() === 'strict') {
+      return res.status(403).json({ error: 'ids legados não são aceitos (AUTH_MODE=strict)' });
+    }
+    if (legacy && await isRegistered(legacy)) {
+      return res.status(403).json({ error: 'conta cadastrada: use /auth/login' });
+    }
+    if (legacy && await isMerged(legacy)) {
+      return res.status(403).json({ error: 'id já vinculado a uma conta: use /auth/login' });
+    }
+    if (legacy && await hasSessions(legacy)) {
+      return res.status(403).json({ error: 'id já migrado: use /auth/refresh' });
+    }
+    const userId = legacy || uuid();
+    return res.json({ userId, ...(await issueTokens(req, userId, { anon: true })) });
+  } catch (e) {
+    console.error('anon error', e);
+    return res.status(500).json({ error: 'erro_interno' });
+  }
+});
+
+// POST /auth/register  { email?, username?, phone?, password, firstName?, lastName?, birthday?, device?, anonToken?|anonUserId? }
 router.post('/register', async (req, res) => {
   try {
     const {
@@ -67,15 +120,15 @@ router.post('/register', async (req, res) => {
       select: { id: true, email: true, username: true }
     });
 
-    const token = signToken(created);
-    return res.json({ ok: true, userId: created.id, token });
+    const linked = await linkAnonOnLogin(req, created.id);
+    return res.json({ ok: true, userId: created.id, ...(await issueTokens(req, created.id)), ...linked });
   } catch (e) {
     console.error('register error', e);
     return res.status(500).json({ error: 'erro_interno' });
   }
 });
 
-// POST /auth/login  { identifier, password }
+// POST /auth/login  { identifier, password, device?, anonToken?|anonUserId? }
 router.post('/login', async (req, res) => {
   try {
     const { identifier, password } = req.body || {};
@@ -101,15 +154,15 @@ router.post('/login', async (req, res) => {
     const ok = await bcrypt.compare(String(password), user.passwordHash);
     if (!ok) return res.status(401).json({ error: 'Credenciais inválidas.' });
 
-    const token = signToken(user);
-    return res.json({ ok: true, userId: user.id, token });
+    const linked = await linkAnonOnLogin(req, user.id);
+    return res.json({ ok: true, userId: user.id, ...(await issueTokens(req, user.id)), ...linked });
   } catch (e) {
     console.error('login error', e);
     return res.status(500).json({ error: 'erro_interno' });
   }
 });
 
-// POST /auth/oauth  { provider, access_token }  (MVP simplificado)
+// POST /auth/oauth  { provider, access_token, device?, anonToken?|anonUserId? }  (MVP simplificado)
 router.post('/oauth', async (req, res) => {
   try {
     const { provider, access_token } = req.body || {};
@@ -130,12 +183,139 @@ router.post('/oauth', async (req, res) => {
       });
     }
 
-    const token = signToken(user);
-    return res.json({ ok: true, userId: user.id, token });
+    const linked = await linkAnonOnLogin(req, user.id);
+    return res.json({ ok: true, userId: user.id, ...(await issueTokens(req, user.id)), ...linked });
   } catch (e) {
     console.error('oauth error', e);
     return res.status(500).json({ error: 'erro_interno' });
   }
 });
+// POST /auth/refresh { refreshToken } -> { ok, userId, token, refreshToken, sessionId }
+// O refresh usado deixa de valer; reapresentá-lo derruba a sessão (token vazado).
+router.post('/refresh', async (req, res) => {
+  try {
+    const out = await rotateRefresh(req.body?.refreshToken, req);
+    if (out.error === 'reuse') return res.status(401).json({ error: 'sessão encerrada' });
+    if (out.error) return res.status(401).json({ error: 'refresh inválido' });
+    const { session, refreshToken } = out;
+    const anon = !(await isRegistered(session.userId));
+    const token = signToken({ id: session.userId }, { sid: session.id, ...(anon ? { anon } : {}) });
+    return res.json({ ok: true, userId: session.userId, token, refreshToken, sessionId: session.id });
+  } catch (e) {
+    console.error('refresh error', e);
+    return res.status(500).json({ error: 'erro_interno' });
+  }
+});
+
+// POST /auth/logout { refreshToken?, all? }  (Bearer ou refreshToken)
+// Encerra a sessão atual; all=true encerra todas do usuário.
+router.post('/logout', async (req, res) => {
+  try {
+    const { refreshToken, all = false } = req.body || {};
+    let session = refreshToken ? await sessionOfRefresh(refreshToken) : null;
+    if (!session) {
+      const { error } = await authenticate(req);
+      if (error || !req.auth) return res.status(401).json({ error: error || 'token obrigatório' });
+      session = { id: req.auth.sid, userId: req.auth.userId };
+    }
+    const revoked = all
+      ? await revokeAll(session.userId, { reason: 'logout' })
+      : session.id ? await revokeSession(session.id, 'logout') : 0;
+    return res.json({ ok: true, revoked });
+  } catch (e) {
+    console.error('logout error', e);
+    return res.status(500).json({ error: 'erro_interno' });
+  }
+});
+
+// GET /auth/sessions (Bearer) -> { sessions: [{ id, device, userAgent, ip, createdAt, lastSeenAt, expiresAt, current }] }
+router.get('/sessions', requireToken, async (req, res) => {
+  try {
+    const rows = await listSessions(req.userId);
+    const sessions = rows.map(s => ({ ...s, current: s.id === req.auth.sid }));
+    return res.json({ sessions });
+  } catch (e) {
+    console.error('sessions error', e);
+    return res.status(500).json({ error: 'erro_interno' });
+  }
+});
+
+// DELETE /auth/sessions/:id (Bearer) — encerra um dispositivo
+router.delete('/sessions/:id', requireToken, async (req, res) => {
+  try {
+    const s = await prisma.session.findFirst({
+      where: { id: req.params.id, userId: req.userId, revokedAt: null },
+      select: { id: true },
+    });
+    if (!s) return res.status(404).json({ error: 'Sessão não encontrada' });
+    await revokeSession(s.id, 'revoked');
+    return res.json({ ok: true });
+  } catch (e) {
+    console.error('revoke session error', e);
+    return res.status(500).json({ error: 'erro_interno' });
+  }
+});
+
+// DELETE /auth/sessions (Bearer) — encerra todas as outras (a atual continua)
+router.delete('/sessions', requireToken, async (req, res) => {
+  try {
+    const revoked = await revokeAll(req.userId, { except: req.auth.sid, reason: 'revoked' });
+    return res.json({ ok: true, revoked });
+  } catch (e) {
+    console.error('revoke sessions error', e);
+    return res.status(500).json({ error: 'erro_interno' });
+  }
+});
+
+// POST /auth/link (Bearer da conta) { anonToken } (ou { anonUserId } legado, fora do modo strict)
+// -> { ok, userId, merged: { from, to, events, conversations, boards, usage, feedback:{ moved, merged }, mastery:{ moved, merged }, profile } }
+router.post('/link', requireToken, async (req, res) => {
+  try {
+    if (req.auth.anon || !(await isRegistered(req.userId))) {
+      return res.status(403).json({ error: 'faça login numa conta cadastrada' });
+    }
+    const src = await resolveAnonId(req.body || {});
+    if (src.error) return res.status(src.status).json({ error: src.error });
+    if (src.userId === req.userId) return res.status(400).json({ error: 'contas iguais' });
+    const merged = await mergeAccounts(src.userId, req.userId);
+    return res.json({ ok: true, userId: req.userId, merged });
+  } catch (e) {
+    console.error('link error', e);
+    return res.status(500).json({ error: 'erro_interno' });
+  }
+});
+
+// POST /auth/password (Bearer) { currentPassword, newPassword }
+// Troca a senha e encerra as outras sessões (a atual continua).
+router.post('/password', requireToken, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body || {};
+    if (!newPassword || String(newPassword).length < 6) {
+      return res.status(400).json({ error: 'newPassword deve ter ao menos 6 caracteres.' });
+    }
+    const user = await prisma.user.findUnique({
+      where: { id: req.userId },
+      select: { id: true, passwordHash: true },
+    });
+    if (!user) return res.status(401).json({ error: 'Credenciais inválidas.' });
+    // conta só com oauth ainda não tem senha: define sem pedir a atual
+    if (user.passwordHash) {
+      const ok = currentPassword && await bcrypt.compare(String(currentPassword), user.passwordHash);
+      if (!ok) return res.status(401).json({ error: 'Credenciais inválidas.' });
+    }
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { passwordHash: await bcrypt.hash(String(newPassword), 10) },
+    });
+    forgetUser(user.id);
+    const revoked = await revokeAll(user.id, { except: req.auth.sid, reason: 'password' });
+    return res.json({ ok: true, revoked });
+  } catch (e) {
+    console.error('password error', e);
+    return res.status(500).json({ error: 'erro_interno' });
+  }
+});
+
 router.get('/debug', (_req, res) => res.json({ ok: true, where: 'auth router' }));
 module.exports = router;
\ No newline at end of file
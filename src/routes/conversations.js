@@ -0,0 +1,94 @@
+// src/routes/conversations.js
+'use strict';
+const express = require('express');
+const router = express.Router();
+const {
+  getOrCreateConversation, getConversation, listConversations, listMessages,
+  renameConversation, deleteConversation,
+} = require('../lib/chatStore');
+const { publicState } = require('../lib/socratic');
+
+function toDTO(c) {
+  return {
+    id: c.id,
+    title: c.title,
+    forkedFromId: c.forkedFromId || null,
+    ...(c.tutorState ? { guia: publicState(c.tutorState) } : {}), // modo guia: tentativas/status (sem a solução)
+    createdAt: c.createdAt,
+    updatedAt: c.updatedAt,
+    ...(c._count ? { messages: c._count.messages } : {}),
+  };
+}
+
+// POST /conversations { userId, title? }
+router.post('/', async (req, res) => {
+  try {
+    const { userId, title } = req.body || {};
+    if (!userId) return res.status(400).json({ error: 'userId é obrigatório' });
+    const c = await getOrCreateConversation({ userId, title: typeof title === 'string' ? title.trim() : '' });
+    return res.json({ conversation: toDTO(c) });
+  } catch (e) {
+    console.error('POST /conversations error', e);
+    return res.status(500).json({ error: 'erro interno' });
+  }
+});
+
+// GET /conversations?userId&limit&cursor → { conversations, nextCursor }
+router.get('/', async (req, res) => {
+  try {
+    const { userId, limit = 30, cursor } = req.query || {};
+    if (!userId) return res.status(400).json({ error: 'userId é obrigatório' });
+    const { items, nextCursor } = await listConversations(userId, { limit, cursor });
+    return res.json({ conversations: items.map(toDTO), nextCursor });
+  } catch (e) {
+    console.error('GET /conversations error', e);
+    return res.status(500).json({ error: 'erro interno' });
+  }
+});
+
+// GET /conversations/:id/messages?userId&limit&cursor
+// página em ordem cronológica; nextCursor carrega as mais antigas
+router.get('/:id/messages', async (req, res) => {
+  try {
+    const { userId, limit = 30, cursor } = req.query || {};
+    if (!userId) return res.status(400).json({ error: 'userId é obrigatório' });
+    const c = await getConversation(userId, req.params.id);
+    if (!c) return res.status(404).json({ error: 'Conversa não encontrada' });
+    const { items, nextCursor } = await listMessages(c.id, { limit, cursor });
+    return res.json({ conversation: toDTO(c), messages: items, nextCursor });
+  } catch (e) {
+    console.error('GET /conversations/:id/messages error', e);
+    return res.status(500).json({ error: 'erro interno' });
+  }
+});
+
+// PATCH /conversations/:id { userId, title }
+router.patch('/:id', async (req, res) => {
+  try {
+    const { userId, title } = req.body || {};
+    if (!userId || typeof title !== 'string' || !title.trim()) {
+      return res.status(400).json({ error: 'userId e title são obrigatórios' });
+    }
+    const c = await renameConversation(userId, req.params.id, title.trim());
+    if (!c) return res.status(404).json({ error: 'Conversa não encontrada' });
+    return res.json({ conversation: toDTO(c) });
+  } catch (e) {
+    console.error('PATCH /conversations/:id error', e);
+    return res.status(500).json({ error: 'erro interno' });
+  }
+});
+
+// DELETE /conversations/:id?userId
+router.delete('/:id', async (req, res) => {
+  try {
+    const { userId } = req.query || {};
+    if (!userId) return res.status(400).json({ error: 'userId é obrigatório' });
+    const ok = await deleteConversation(userId, req.params.id);
+    return res.json({ ok });
+  } catch (e) {
+    console.error('DELETE /conversations/:id error', e);
+    return res.status(500).json({ error: 'erro interno' });
+  }
+});
+
+module.exports = router;
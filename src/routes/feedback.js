@@ -1,6 +1,20 @@
 const express = require('express');
 const router = express.Router();
-const { setVote, getCounts } = require('../lib/feedbackStore');
+const { REASONS, REPORT_STATUS, setVote, getCounts, listReports, setReportStatus } = require('../lib/feedbackStore');
+const { findAssistantMessage } = require('../lib/chatStore');
+const { ingest: ingestMastery } = require('../lib/mastery');
+const { DIMENSIONS, INTERVALS, buildReport } = require('../lib/feedbackReport');
+
+// voto numa resposta do tutor → sinal fraco p/ o domínio do aluno (tópico da resposta, se já rotulado)
+function masteryFromVote({ userId, historyId, vote }) {
+  if (vote !== 'up' && vote !== 'down') return;
+  findAssistantMessage(userId, historyId)
+    .then(m => {
+      const { materia, topic = '' } = m?.meta || {};
+      if (materia && (materia !== 'geral' || topic)) ingestMastery({ userId, materia, topic, source: `feedback_${vote}` });
+    })
+    .catch(e => console.warn('masteryFromVote error', e?.message || e));
+}
 
 // Validação leve (sem depender de lib)
 function parseBody(body) {
@@ -9,16 +23,31 @@ function parseBody(body) {
   const vote = (body?.vote || '').trim(); // 'up' | 'down' | 'none' (remoção)
   if (!userId || !historyId) return { error: 'invalid_body' };
   if (vote && !['up', 'down', 'none'].includes(vote)) return { error: 'invalid_vote' };
-  return { userId, historyId, vote };
+
+  const out = { userId, historyId, vote };
+  if (body?.reasons !== undefined) {
+    const list = Array.isArray(body.reasons) ? body.reasons : [body.reasons];
+    const reasons = [...new Set(list.map(r => String(r || '').trim()).filter(Boolean))];
+    if (reasons.some(r => !REASONS.includes(r))) return { error: 'invalid_reason', reasons: REASONS };
+    out.reasons = reasons;
+  }
+  if (body?.comment !== undefined) out.comment = String(body.comment || '').trim().slice(0, 1000);
+  // "ofensiva" sempre vai p/ moderação, mesmo sem report explícito
+  out.report = body?.report === true || body?.report === 'true' || !!out.reasons?.includes('ofensiva');
+  return out;
 }
 
-// POST /feedback { userId, historyId, vote: 'up'|'down' }  (ou 'none' para remover)
+// POST /feedback { userId, historyId, vote: 'up'|'down'|'none', reasons?: string[], comment?, report?: boolean }
+// vote 'none' remove tudo; sem vote mas com reasons/comment/report → grava mantendo o voto atual.
+// reasons: resposta_errada | muito_longa | nivel_errado | ofensiva | imagem_nao_entendida
 router.post('/', async (req, res) => {
   try {
     const parsed = parseBody(req.body);
     if (parsed.error) return res.status(400).json(parsed);
 
-    await setVote(parsed);
+    const prevVote = await setVote(parsed);
+    // reenviar o mesmo voto não conta de novo p/ o domínio
+    if (parsed.vote !== prevVote) masteryFromVote(parsed);
     // “falhar em silêncio” → 204 No Content
     return res.status(204).end();
   } catch (e) {
@@ -27,11 +56,91 @@ router.post('/', async (req, res) => {
   }
 });
 
+// Moderação e relatórios (visão de todos os alunos): exigem MODERATION_KEY no header
+// x-moderation-key (sem a env → desligados). Ficam fora do JWT (lib/auth.js).
+function requireModerator(req, res, next) {
+  const key = process.env.MODERATION_KEY;
+  if (!key) return res.status(403).json({ error: 'moderação desativada' });
+  if (req.get('x-moderation-key') !== key) return res.status(401).json({ error: 'unauthorized' });
+  next();
+}
+
+// GET /feedback/report?by=mode,prompt&days=30 (ou since/until)&interval=day|week|month&userId&minVotes&sort=total|approval
+// -> { by, window, interval, overall: { up, down, total, approval }, unmatched, groups: [{ <dims>, up, down, total, approval, series? }] }
+// sort=approval → piores primeiro (o que os alunos mais rejeitam). Registrada antes de /:historyId.
+router.get('/report', requireModerator, async (req, res) => {
+  try {
+    const q = req.query || {};
+    const by = String(q.by || 'mode').split(',').map(s => s.trim()).filter(Boolean);
+    if (!by.length || by.some(d => !DIMENSIONS.includes(d))) {
+      return res.status(400).json({ error: `by inválido (use ${DIMENSIONS.join(', ')})` });
+    }
+    if (q.interval && !INTERVALS.includes(q.interval)) {
+      return res.status(400).json({ error: `interval inválido (use ${INTERVALS.join(', ')})` });
+    }
+    const days = Math.max(1, Math.min(365, Number(q.days) || 30));
+    const until = q.until ? new Date(q.until) : null;
+    const since = q.since ? new Date(q.since) : new Date((until || new Date()).getTime() - days * 86_400_000);
+    if (isNaN(since) || (until && isNaN(until))) return res.status(400).json({ error: 'since/until inválidos' });
+
+    const report = await buildReport({
+      by,
+      since: since.toISOString(),
+      until: until ? until.toISOString() : undefined,
+      interval: q.interval,
+      userId: q.userId,
+      minVotes: Math.max(1, Number(q.minVotes) || 1),
+      sort: q.sort === 'approval' ? 'approval' : 'total',
+    });
+    return res.json(report);
+  } catch (e) {
+    console.error('[GET /feedback/report]', e);
+    return res.status(500).json({ error: 'erro interno' });
+  }
+});
+
+// GET /feedback/moderation?status=aberto|resolvido|descartado|all&limit=30&offset=0
+// -> { items: [{ id, userId, historyId, vote, reasons, comment, status, reportedAt, reviewedAt,
+//                question, answer, conversationId, meta, event }], total }
+router.get('/moderation', requireModerator, async (req, res) => {
+  try {
+    const status = String(req.query?.status || 'aberto');
+    if (status !== 'all' && !REPORT_STATUS.includes(status)) {
+      return res.status(400).json({ error: `status inválido (use ${REPORT_STATUS.join(', ')} ou all)` });
+    }
+    const out = await listReports({
+      status: status === 'all' ? undefined : status,
+      limit: req.query?.limit,
+      offset: req.query?.offset,
+    });
+    return res.json(out);
+  } catch (e) {
+    console.error('[GET /feedback/moderation]', e);
+    return res.status(500).json({ error: 'erro interno' });
+  }
+});
+
+// PATCH /feedback/moderation/:id { status: 'resolvido'|'descartado'|'aberto' }
+router.patch('/moderation/:id', requireModerator, async (req, res) => {
+  try {
+    const status = String(req.body?.status || '');
+    if (!REPORT_STATUS.includes(status)) {
+      return res.status(400).json({ error: `status inválido (use ${REPORT_STATUS.join(', ')})` });
+    }
+    const row = await setReportStatus(req.params.id, status);
+    if (!row) return res.status(404).json({ error: 'Denúncia não encontrada' });
+    return res.json({ id: row.id, status: row.reportStatus, reviewedAt: row.reviewedAt });
+  } catch (e) {
+    console.error('[PATCH /feedback/moderation/:id]', e);
+    return res.status(500).json({ error: 'erro interno' });
+  }
+});
+
 // (Opcional) GET /feedback/:historyId  -> { up, down }
-router.get('/:historyId', (req, res) => {
+router.get('/:historyId', async (req, res) => {
   try {
     const { historyId } = req.params;
-    const counts = getCounts(historyId);
+    const counts = await getCounts(historyId);
     return res.json(counts);
   } catch (e) {
     console.error('[GET /feedback/:historyId]', e);
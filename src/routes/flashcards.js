@@ -0,0 +1,135 @@
+// src/routes/flashcards.js
+'use strict';
+const express = require('express');
+const { GRADE_LABELS, parseGrade } = require('../lib/flashcardStore');
+
+// store = createFlashcardStore(...) (server.js, com os helpers de evento do db.js)
+module.exports = function flashcardsRouter(store) {
+  if (!store) throw new Error('flashcards: store ausente');
+  const router = express.Router();
+  const {
+    listDecks, getDeck, findOrCreateDeck, addCards,
+    listCards, dueCards, reviewCard, removeCard, removeDeck,
+  } = store;
+
+  // GET /flashcards/decks?userId
+  router.get('/decks', async (req, res) => {
+    try {
+      const { userId } = req.query || {};
+      if (!userId) return res.status(400).json({ error: 'userId é obrigatório' });
+      return res.json({ decks: await listDecks(userId) });
+    } catch (e) {
+      console.error('GET /flashcards/decks error', e);
+      return res.status(500).json({ error: 'erro interno' });
+    }
+  });
+
+  // POST /flashcards/decks { userId, name, materia? } — devolve o existente se já houver um com esse nome
+  router.post('/decks', async (req, res) => {
+    try {
+      const { userId, name, materia = 'geral' } = req.body || {};
+      if (!userId || typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({ error: 'userId e name são obrigatórios' });
+      }
+      const deck = await findOrCreateDeck({ userId, name, materia });
+      return res.json({ deck });
+    } catch (e) {
+      console.error('POST /flashcards/decks error', e);
+      return res.status(500).json({ error: 'erro interno' });
+    }
+  });
+
+  // DELETE /flashcards/decks/:id?userId — remove o deck e os cartões
+  router.delete('/decks/:id', async (req, res) => {
+    try {
+      const { userId } = req.query || {};
+      if (!userId) return res.status(400).json({ error: 'userId é obrigatório' });
+      const ok = await removeDeck(userId, req.params.id);
+      if (!ok) return res.status(404).json({ error: 'Deck não encontrado' });
+      return res.json({ ok });
+    } catch (e) {
+      console.error('DELETE /flashcards/decks/:id error', e);
+      return res.status(500).json({ error: 'erro interno' });
+    }
+  });
+
+  // GET /flashcards/decks/:id/cards?userId
+  router.get('/decks/:id/cards', async (req, res) => {
+    try {
+      const { userId } = req.query || {};
+      if (!userId) return res.status(400).json({ error: 'userId é obrigatório' });
+      const deck = await getDeck(userId, req.params.id);
+      if (!deck) return res.status(404).json({ error: 'Deck não encontrado' });
+      return res.json({ deck, cards: await listCards(userId, deck.id) });
+    } catch (e) {
+      console.error('GET /flashcards/decks/:id/cards error', e);
+      return res.status(500).json({ error: 'erro interno' });
+    }
+  });
+
+  // POST /flashcards/decks/:id/cards { userId, cards: [{ front, back }] } — cartões manuais
+  router.post('/decks/:id/cards', async (req, res) => {
+    try {
+      const { userId, cards } = req.body || {};
+      const valid = Array.isArray(cards)
+        ? cards.filter(c => c && typeof c.front === 'string' && c.front.trim() && typeof c.back === 'string' && c.back.trim())
+        : [];
+      if (!userId || !valid.length) {
+        return res.status(400).json({ error: 'userId e cards [{ front, back }] são obrigatórios' });
+      }
+      const created = await addCards(userId, req.params.id, valid.slice(0, 100), { source: 'manual' });
+      if (!created) return res.status(404).json({ error: 'Deck não encontrado' });
+      return res.json({ cards: created });
+    } catch (e) {
+      console.error('POST /flashcards/decks/:id/cards error', e);
+      return res.status(500).json({ error: 'erro interno' });
+    }
+  });
+
+  // GET /flashcards/due?userId&deckId&materia&limit — fila de revisão de hoje
+  router.get('/due', async (req, res) => {
+    try {
+      const { userId, deckId, materia, limit = 20 } = req.query || {};
+      if (!userId) return res.status(400).json({ error: 'userId é obrigatório' });
+      return res.json(await dueCards(userId, { deckId, materia, limit }));
+    } catch (e) {
+      console.error('GET /flashcards/due error', e);
+      return res.status(500).json({ error: 'erro interno' });
+    }
+  });
+
+  // POST /flashcards/:id/review { userId, grade: 0..5 | 'again'|'hard'|'good'|'easy' }
+  router.post('/:id/review', async (req, res) => {
+    try {
+      const { userId, grade } = req.body || {};
+      const g = parseGrade(grade);
+      if (!userId || g === null) {
+        return res.status(400).json({
+          error: `userId e grade são obrigatórios (0..5 ou ${Object.keys(GRADE_LABELS).join('|')})`,
+        });
+      }
+      const card = await reviewCard(userId, req.params.id, g);
+      if (!card) return res.status(404).json({ error: 'Cartão não encontrado' });
+      return res.json({ card });
+    } catch (e) {
+      console.error('POST /flashcards/:id/review error', e);
+      return res.status(500).json({ error: 'erro interno' });
+    }
+  });
+
+  // DELETE /flashcards/:id?userId
+  router.delete('/:id', async (req, res) => {
+    try {
+      const { userId } = req.query || {};
+      if (!userId) return res.status(400).json({ error: 'userId é obrigatório' });
+      const ok = await removeCard(userId, req.params.id);
+      if (!ok) return res.status(404).json({ error: 'Cartão não encontrado' });
+      return res.json({ ok });
+    } catch (e) {
+      console.error('DELETE /flashcards/:id error', e);
+      return res.status(500).json({ error: 'erro interno' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,35 @@
+// src/routes/me.js
+'use strict';
+const express = require('express');
+const router = express.Router();
+const { getProfile, updateProfile } = require('../lib/profile');
+
+// GET /me/profile?userId
+// → { profile: { level, theme, lang, persona:{ tone, examples, respLen, favSubject }, defaultMateria, goals, targetExam, targetExamDate } }
+router.get('/profile', async (req, res) => {
+  try {
+    const { userId } = req.query || {};
+    if (!userId) return res.status(400).json({ error: 'userId é obrigatório' });
+    return res.json({ profile: await getProfile(userId) });
+  } catch (e) {
+    console.error('GET /me/profile error', e);
+    return res.status(500).json({ error: 'erro interno' });
+  }
+});
+
+// PATCH /me/profile { userId, level?, theme?, lang?, persona?, defaultMateria?, goals?, targetExam?, targetExamDate? }
+// Parcial: só o que vier muda; null limpa; persona é mesclada campo a campo.
+router.patch('/profile', async (req, res) => {
+  try {
+    const { userId, ...patch } = req.body || {};
+    if (!userId) return res.status(400).json({ error: 'userId é obrigatório' });
+    const out = await updateProfile(userId, patch);
+    if (out.error) return res.status(400).json(out);
+    return res.json(out);
+  } catch (e) {
+    console.error('PATCH /me/profile error', e);
+    return res.status(500).json({ error: 'erro interno' });
+  }
+});
+
+module.exports = router;
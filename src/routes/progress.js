@@ -0,0 +1,45 @@
+// src/routes/progress.js
+'use strict';
+const express = require('express');
+const router = express.Router();
+const { getProgress, recordSignal, parseScore } = require('../lib/mastery');
+
+const SCORE_SOURCES = ['self', 'teacher', 'external'];
+
+// GET /progress?userId&materia
+// → { materias: [{ materia, key, mastery, status, evidence, topics:[{ topic, mastery, confidence, status, … }] }], weakTopics }
+// status: "fraco" | "em_progresso" | "dominado" | "sem_dados"
+router.get('/', async (req, res) => {
+  try {
+    const { userId, materia } = req.query || {};
+    if (!userId) return res.status(400).json({ error: 'userId é obrigatório' });
+    return res.json(await getProgress(userId, { materia }));
+  } catch (e) {
+    console.error('GET /progress error', e);
+    return res.status(500).json({ error: 'erro interno' });
+  }
+});
+
+// POST /progress/scores { userId, materia, topic?, score (0..1 ou 0..100), source?: self|teacher|external }
+// Nota autoavaliada ou lançada de fora (professor, prova, cursinho).
+router.post('/scores', async (req, res) => {
+  try {
+    const { userId, materia, topic = '', score, source = 'self' } = req.body || {};
+    if (!userId || typeof materia !== 'string' || !materia.trim()) {
+      return res.status(400).json({ error: 'userId e materia são obrigatórios' });
+    }
+    if (parseScore(score) === null) return res.status(400).json({ error: 'score deve ser 0..1 ou 0..100' });
+    if (!SCORE_SOURCES.includes(source)) {
+      return res.status(400).json({ error: `source inválido (use ${SCORE_SOURCES.join(', ')})` });
+    }
+
+    await recordSignal({ userId, materia: materia.trim(), topic: String(topic || '').trim(), score, source });
+    const { materias } = await getProgress(userId, { materia: materia.trim() });
+    return res.json({ progress: materias[0] || null });
+  } catch (e) {
+    console.error('POST /progress/scores error', e);
+    return res.status(500).json({ error: 'erro interno' });
+  }
+});
+
+module.exports = router;
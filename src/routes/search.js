@@ -0,0 +1,27 @@
+// src/routes/search.js
+'use strict';
+const express = require('express');
+const router = express.Router();
+const { searchUserContent, parseTypes } = require('../lib/search');
+
+// GET /search?userId&q&types=chat,summary,plan,card&limit&offset
+// → { results: [{ type, id, refId, title, role, snippet, rank, createdAt }], nextOffset }
+// snippet vem com os trechos encontrados entre <mark>…</mark>
+router.get('/', async (req, res) => {
+  try {
+    const { userId, q, types, limit = 20, offset = 0 } = req.query || {};
+    if (!userId) return res.status(400).json({ error: 'userId é obrigatório' });
+    if (typeof q !== 'string' || !q.trim()) return res.status(400).json({ error: 'q é obrigatório' });
+
+    const wanted = parseTypes(types);
+    if (!wanted.length) return res.status(400).json({ error: 'types inválido (use chat, summary, plan, card)' });
+
+    const out = await searchUserContent(userId, q.trim(), { types: wanted, limit, offset });
+    return res.json(out);
+  } catch (e) {
+    console.error('GET /search error', e);
+    return res.status(500).json({ error: 'erro interno' });
+  }
+});
+
+module.exports = router;
@@ -6,6 +6,23 @@ const express = require('express');
 const cors = require('cors');
 const { v4: uuid } = require('uuid');
 const { addEvent, listEvents, removeEvent } = require('./db');
+const { checkQuota, quotaErrorBody, getUsageSummary, trackUsage } = require('./lib/usage');
+const {
+  getOrCreateConversation, appendExchange,
+  addAnswerVersion, listAnswerVersions, forkConversation,
+  listChatItems, findOwnMessage, findAssistantMessage, lastAnswerId, setMessageFavorite, removeExchange
+} = require('./lib/chatStore');
+const { maybeAutoTitle } = require('./lib/autoTitle');
+const { buildChatContext, refreshMemory } = require('./lib/memory');
+const { parseGeneratedCards, createFlashcardStore } = require('./lib/flashcardStore');
+const { ingest: ingestMastery, getAdaptation, getProgress, normKey } = require('./lib/mastery');
+const { tagChatTopic } = require('./lib/chatTopics');
+const { createMistakeStore } = require('./lib/mistakeStore');
+const { getProfile, getProfileLang, withProfileDefaults } = require('./lib/profile');
+const { resolveLang, langInfo, langRule, formatDate, localizeErrors } = require('./lib/i18n');
+const { authUser, authConfigError } = require('./lib/auth');
+const prompts = require('./lib/prompts');
+const guia = require('./lib/socratic');
 const multer = require('multer');
 const os = require('os');
 const fs = require('fs/promises');
@@ -14,18 +31,36 @@ const { spawn } = require('child_process');
 const cpuCount = require('os').cpus()?.length || 2;
 
 
-// ===== LLM Mutex (evita pico de TPM) =====
-let llmBusy = false;
-const waitFree = async () => {
-  const start = Date.now();
-  while (llmBusy && Date.now() - start < 8000) {
-    await new Promise(r => setTimeout(r, 120));
+// ===== Fila LLM (prioridade por rota + justiça por usuário) =====
+const { enqueueLLM, getQueueState } = require('./lib/llmQueue');
+
+// Erros da fila seguem o mesmo contrato `_error` do llm.js:
+// { _error:'cancelled' } (cliente saiu) | { _error:'queue_timeout', status:503 }
+async function withLLMGate(fn, opts = {}) {
+  try {
+    return await enqueueLLM(fn, opts);
+  } catch (e) {
+    if (e?.code === 'cancelled') return { _error: 'cancelled' };
+    if (e?.code === 'queue_timeout') return { _error: 'queue_timeout', status: 503, retryAfterSec: 15 };
+    throw e;
+  }
+}
+
+// um AbortController por requisição (res.locals): o cliente caiu antes da resposta →
+// aborta a fila e a chamada ao LLM em andamento (a fn do gate recebe { signal })
+function requestSignal(res) {
+  if (!res.locals.llmAbort) {
+    const ac = new AbortController();
+    res.on('close', () => { if (!res.writableEnded) ac.abort(); });
+    res.locals.llmAbort = ac;
   }
-};
-async function withLLMGate(fn) {
-  await waitFree(); llmBusy = true;
-  try { return await fn(); }
-  finally { llmBusy = false; }
+  return res.locals.llmAbort.signal;
+}
+
+// opções da fila a partir da request: dono, prioridade da rota e cancelamento se o cliente cair
+function llmGateOpts(req, res, priority, extra = {}) {
+  const userId = req.body?.userId || req.query?.userId || 'anon';
+  return { userId, priority, signal: requestSignal(res), ...extra };
 }
 
 
@@ -39,11 +74,19 @@ const sharpTry = () => {
 const sharp = sharpTry();
 
 const registerKanban = require('./kanban');
+const registerQuiz = require('./quiz');
+const registerSimulado = require('./simulado');
+const registerMistakes = require('./mistakes');
+
+// flashcards e caderno de erros sobre os eventos do db.js (quiz/simulado gravam erros por addMistakes)
+const flashcardStore = createFlashcardStore({ addEvent, listEvents, removeEvent });
+const mistakeStore = createMistakeStore({ addEvent, listEvents, removeEvent });
+const { addMistakes } = mistakeStore;
 
 // 👉 use SEMPRE o llm.js (não duplicamos funções aqui)
 const {
-    askLLM, askLLMJson, askLLMVision, ocrImageBase64,
-    getRpmState, getTpmState, getCooldownMs
+    askLLM, askLLMStream, askLLMJson, askLLMVision, ocrImageBase64,
+    getRpmState, getTpmState, getCooldownMs, getProviderName
   } = require('./llm');
 
 process.on('unhandledRejection', (err) => {
@@ -59,6 +102,28 @@ app.options(/^\/.*/, cors());
 app.use(express.json({ limit: '15mb' }));
 app.use(express.urlencoded({ extended: true, limit: '15mb' }));
 
+// idioma da requisição (req.lang): lang do body/query > perfil > pt — ver lib/i18n.js
+async function resolveRequestLang(req) {
+  const userId = req.body?.userId || req.query?.userId;
+  req.lang = resolveLang(req.body?.lang, req.query?.lang, userId ? await getProfileLang(userId) : null);
+  return req.lang;
+}
+// antes da identidade só dá p/ usar o que veio na requisição (p/ os 401/403 do authUser já saírem traduzidos)
+app.use((req, _res, next) => {
+  req.lang = resolveLang(req.body?.lang, req.query?.lang, req.get('accept-language'));
+  next();
+});
+app.use(localizeErrors);
+
+// identidade: Bearer token → req.userId; userId de outro usuário → 403 (ver lib/auth.js)
+app.use(authUser);
+
+// com o userId já conferido, o perfil entra na conta
+app.use(async (req, _res, next) => {
+  await resolveRequestLang(req);
+  next();
+});
+
 const PORT = process.env.PORT || 4000;
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
 const DEFAULT_FETCH_TIMEOUT_MS = 65000;
@@ -74,6 +139,11 @@ const uploadImages = multer({
 });
 app.use('/feedback', require('./routes/feedback'));
 app.use('/auth', require('./routes/auth'));   // <-- ADICIONE ESTA LINHA
+app.use('/conversations', require('./routes/conversations'));
+app.use('/search', require('./routes/search'));
+app.use('/flashcards', require('./routes/flashcards')(flashcardStore));
+app.use('/progress', require('./routes/progress'));
+app.use('/me', require('./routes/me'));
 console.log('✔ routes mounted: /auth');
 /* -------------------------------------------------------
    Logs básicos
@@ -101,12 +171,9 @@ app.use((err, _req, res, next) => {
 const sleep = (ms) => new Promise(r => setTimeout(r, ms));
 const nowISO = () => new Date().toISOString();
 
-function toBR(date) {
-  const d = new Date(date);
-  const dia = String(d.getDate()).padStart(2, '0');
-  const mes = String(d.getMonth() + 1).padStart(2, '0');
-  const ano = d.getFullYear();
-  return `${dia}-${mes}-${ano}`;
+// dd-mm-aaaa em PT; outros idiomas no formato local (lib/i18n.js)
+function toBR(date, lang = 'pt') {
+  return formatDate(date, lang);
 }
 
 function extractBullets(raw = "") {
@@ -148,6 +215,67 @@ function savePlanEvent({ userId, entrada, plano, meta = {} }) {
   return id;
 }
 
+// Resposta HTTP para os `_error` do llm.js/fila. Retorna true se já respondeu.
+function sendLLMError(res, out) {
+  if (!out || typeof out !== 'object' || !out._error) return false;
+  if (out._error === 'cancelled') {
+    res.end(); // cliente já desconectou
+    return true;
+  }
+  if (out._error === 'rate_limit') {
+    const sec = Number(out.retryAfterSec || 30);
+    res.set('Retry-After', String(sec));
+    res.status(429).json({ error: 'rate_limit', detail: 'TPM exceeded', retryAfterSec: sec });
+    return true;
+  }
+  if (out._error === 'insufficient_quota') {
+    res.status(429).json({ error: 'insufficient_quota', detail: 'créditos/billing insuficientes' });
+    return true;
+  }
+  if (out._error === 'queue_timeout') {
+    const sec = Number(out.retryAfterSec || 15);
+    res.set('Retry-After', String(sec));
+    res.status(503).json({ error: 'queue_timeout', detail: 'fila do LLM cheia, tente de novo', retryAfterSec: sec });
+    return true;
+  }
+  return false;
+}
+
+/* -------------------------------------------------------
+   Streaming (Server-Sent Events)
+------------------------------------------------------- */
+// Streaming quando o cliente pede: Accept: text/event-stream, ?stream=1 ou body.stream=true
+function wantsStream(req) {
+  const q = String(req.query?.stream ?? '');
+  if (q === '1' || q === 'true') return true;
+  if (req.body?.stream === true || req.body?.stream === '1') return true;
+  return String(req.headers?.accept || '').includes('text/event-stream');
+}
+
+function openSSE(res) {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no', // nginx/render: não bufferizar
+  });
+  res.flushHeaders?.();
+}
+
+function sseSend(res, event, data) {
+  if (res.writableEnded) return;
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// cota estourada: 429 JSON ou, se o cliente pediu streaming, evento `error` (mesmo corpo)
+function sendQuotaError(req, res, quota) {
+  if (!wantsStream(req)) return res.status(429).json(quotaErrorBody(quota));
+  openSSE(res);
+  sseSend(res, 'error', quotaErrorBody(quota));
+  return res.end();
+}
+
 /* -------------------------------------------------------
    Polyfills Web APIs (para vision)
 ------------------------------------------------------- */
@@ -165,15 +293,16 @@ async function ensureWebAPIs() {
    Diagnóstico / Status
 ------------------------------------------------------- */
 app.get('/health', (_req, res) => {
-  res.json({ ok: true, hasKey: !!OPENAI_API_KEY, envPort: PORT });
+  res.json({ ok: true, hasKey: !!OPENAI_API_KEY, envPort: PORT, llmProvider: getProviderName() });
 });
 app.post('/ping', (req, res) => {
   res.json({ ok: true, received: req.body || null });
 });
 app.get('/diag/llm', async (_req, res) => {
   try {
-    const out = await withLLMGate(() =>
-            askLLM({ system:'Responda apenas "ok".', user:'diga ok', max_tokens:5, temperature:0 })
+    const out = await withLLMGate(({ signal } = {}) =>
+            askLLM({ system:'Responda apenas "ok".', user:'diga ok', max_tokens:5, temperature:0, signal }),
+            llmGateOpts(_req, res, 'chat', { userId: 'diag' })
           );
       
           if (out && typeof out === 'object') {
@@ -196,6 +325,7 @@ app.get('/diag/llm', async (_req, res) => {
                 cooldownMs: getCooldownMs?.() || 0
               });
             }
+            if (sendLLMError(res, out)) return;
           }
           res.json({ ok:true, answer: out });
   } catch (e) {
@@ -210,6 +340,9 @@ app.get('/diag/rpm', (_req, res) => {
       res.status(500).json({ ok:false, error:String(e) });
     }
   });
+  app.get('/diag/queue', (req, res) => {
+      res.json({ ok: true, ...getQueueState(req.query?.userId) });
+    });
   app.get('/diag/limits', (_req, res) => {
       try {
         const rpm = getRpmState();
@@ -220,12 +353,23 @@ app.get('/diag/rpm', (_req, res) => {
         res.status(500).json({ ok:false, error:String(e) });
       }
     });
+  // templates registrados (arquivos + banco), pesos do A/B e, com userId, a variante dele
+  app.get('/diag/prompts', (req, res) => {
+      res.json({ ok: true, prompts: prompts.describe(req.query?.userId) });
+    });
 /* -------------------------------------------------------
-   Auth anônima
+   Uso do LLM / cotas
 ------------------------------------------------------- */
-app.post('/auth/anon', (_req, res) => {
-  const id = uuid();
-  res.json({ userId: id });
+app.get('/usage', async (req, res) => {
+  try {
+    const { userId } = req.query || {};
+    if (!userId) return res.status(400).json({ error: 'userId é obrigatório' });
+    const usage = await getUsageSummary(userId);
+    return res.json({ ok: true, ...usage });
+  } catch (e) {
+    console.error('GET /usage error', e);
+    return res.status(500).json({ error: 'erro interno' });
+  }
 });
 
 /* -------------------------------------------------------
@@ -233,18 +377,21 @@ app.post('/auth/anon', (_req, res) => {
 ------------------------------------------------------- */
 app.post('/chat/extract-materias', async (req, res) => {
   try {
-    const { history = [] } = req.body || {};
-    const system = `Você extrai matérias/assuntos de uma conversa de estudos PT-BR.
-- Responda APENAS JSON válido no formato:
-{"materias":["Matemática","História"],"objetivo":"string curta","horasSemana":5}
-- Max 3 matérias. Se não souber, retorne [].
-- "horasSemana": inteiro 1..15 (estimativa se houver pista, senão 5).`;
+    const { history = [], userId } = req.body || {};
+    const system = prompts.render('extract-materias', {
+      lang: langInfo(req.lang).prompt,
+      langRule: langRule(req.lang) ? `\n${langRule(req.lang)}` : '',
+    }, { userId }).text;
     const user = `CONVERSA:
 ${history.map(m => `${m.role.toUpperCase()}: ${m.content}`).join('\n')}
 
 Retorne o JSON pedido.`;
 
-    const parsed = await askLLMJson({ system, user, max_tokens: 140, temperature: 0.2 }) || {};
+    const out = await withLLMGate(
+      ({ signal } = {}) => askLLMJson({ system, user, max_tokens: 140, temperature: 0.2, signal, onUsage: trackUsage(userId || 'anon', '/chat/extract-materias') }),
+      llmGateOpts(req, res, 'chat')
+    );
+    const parsed = (out && !out._error) ? out : {};
     const materias = Array.isArray(parsed.materias) ? parsed.materias.slice(0,3) : [];
     const objetivo = typeof parsed.objetivo === 'string' ? parsed.objetivo.slice(0,160) : '';
     const horasSemana = Math.max(1, Math.min(15, Number(parsed.horasSemana || 5)));
@@ -258,11 +405,6 @@ Retorne o JSON pedido.`;
 /* -------------------------------------------------------
    Chat (com persona) — JSON (com fallback para imagens base64)
 ------------------------------------------------------- */
-const MAX_TURNS = 6;
-const HISTORY_CHAR_BUDGET = 900;
-function joinHistoryToText(history = []) {
-  return history.map(m => `${m.role.toUpperCase()}: ${m.content}`).join('\n\n');
-}
 // --- filtra histórico por conversa ---
 // Somente mensagens cujo m.conversationId === conversationId.
 // Se não vier conversationId, assume-se que todo o history pertence à conversa atual.
@@ -275,22 +417,290 @@ function filterHistoryByConversation(history = [], conversationId) {
   }
   
 
-// 🔁 Agora NÃO chama LLM — só trunca localmente.
-async function compressHistoryIfNeeded(history = []) {
-  const txt = joinHistoryToText(history);
-  if (txt.length <= HISTORY_CHAR_BUDGET) {
-    return { historyText: txt, compressed: false };
+// grava a troca na conversa antes de responder (o historyId devolvido já existe p/
+// votar/regenerar/editar); depois, em segundo plano: auto-título (se ainda não tem),
+// resumo da memória e o tópico da pergunta (sinais p/ o domínio do aluno), no idioma do aluno
+async function saveChatExchange({ userId, lang, ...args }) {
+  const { conversationId } = args;
+  await appendExchange(args);
+  if (!args.meta?.imagesCount) {
+    tagChatTopic({ userId, answerId: args.answerId, question: args.question, materia: args.meta?.materia, lang })
+      .catch(e => console.warn('tagChatTopic error', e?.message || e));
   }
-  const keepLast = Math.max(1, MAX_TURNS * 2);
-  const suffix = history.slice(-keepLast);
-  const head = (txt.slice(0, 600) + ' …');    // um teaser curto do início
-  const tail = joinHistoryToText(suffix).slice(0, 600);
-  const combined = `CONTEXTO RESUMIDO (local):
-${head}
-
-ÚLTIMAS MENSAGENS:
-${tail}`;
-  return { historyText: combined, compressed: true };
+  maybeAutoTitle({ userId, conversationId, question: args.question, answer: args.answer, lang })
+    .catch(e => console.warn('autoTitle error', e?.message || e));
+  refreshMemory({ userId, conversationId, lang })
+    .catch(e => console.warn('refreshMemory error', e?.message || e));
+}
+
+// Prompt do tutor (compartilhado por /chat, regenerar e editar) — template "tutor"
+// do registro (lib/prompts.js). → { system, prompt: "tutor@versão" } (vai em meta.prompt)
+function buildTutorSystem({
+  userId, nivel = 'medio', materia = 'geral', mode = 'explicar', goal = '', persona = {}, extraRules = [],
+  lang = 'pt', closing = `- Termine com um "${langInfo(lang).nextStep}" (1 linha).`,
+} = {}) {
+  // Persona → regras
+  const { tone = 'didatico', examples = 'cotidiano', respLen = 'medio', favSubject = '' } = persona || {};
+  const toneRule = {
+    didatico: '- Tom didático, acolhedor e explicativo.',
+    formal:   '- Tom objetivo e formal (sem coloquialismos).',
+    motivador:'- Tom encorajador, com reforço positivo curto.'
+  }[tone] || '';
+  const lenRule = {
+    curto: '- Seja conciso (~120 palavras).',
+    medio: '- Tamanho médio (~200–300 palavras).',
+    longo: '- Aprofunde (~350–500 palavras).'
+  }[respLen] || '';
+  const exRule  = examples ? `- Use exemplos do contexto de ${examples}.` : '';
+  const favRule = favSubject ? `- Quando natural, conecte com ${favSubject}.` : '';
+  const personaRule = [toneRule, lenRule, exRule, favRule].filter(Boolean).join('\n');
+
+  const byMode = {
+    explicar:   "- Explique claramente e dê 1 exemplo do nível do aluno.",
+    exercicios: "- Entregue 3 exercícios graduais com gabarito comentado.",
+    quiz:       "- Faça 3 perguntas de múltipla escolha (A-D) e depois dê o gabarito.",
+    resumir:    "- Resuma em 5 bullets curtos e 2 exemplos aplicados.",
+    passoapasso:"- Resolva passo a passo, mostrando o raciocínio de forma sucinta.",
+    guia:       "- Modo guia (socrático): conduza o aluno com perguntas curtas; ele é quem resolve.",
+  };
+  const modeRule = byMode[mode] || byMode.explicar;
+
+  const { text, ref } = prompts.render('tutor', {
+    lang: langInfo(lang).prompt,
+    nivel, materia,
+    goal: goal ? ` | Objetivo do aluno: ${goal}` : '',
+    modeRule, personaRule,
+    extraRules: [...extraRules, langRule(lang)].filter(Boolean).map(r => `${r}\n`).join(''),
+    closing,
+  }, { userId });
+  return { system: text, prompt: ref };
+}
+
+// Domínio do aluno (GET /progress) → regras extras do tutor.
+// Os pontos fracos vêm também do próprio chat: tópicos perguntados de novo,
+// respostas regeneradas e votos negativos (ver lib/chatTopics.js).
+function masteryRules(adapt) {
+  if (!adapt) return [];
+  return [
+    {
+      base: '- O aluno ainda tem base frágil nesta matéria: comece do fundamental, em passos curtos, com exemplos bem concretos do dia a dia, e confira se entendeu.',
+      avancado: '- O aluno já domina bem esta matéria: pode aprofundar e usar exemplos/exercícios mais desafiadores.',
+    }[adapt.level],
+    adapt.weakTopics.length
+      && `- Pontos fracos do aluno nesta matéria: ${adapt.weakTopics.join('; ')}. Se a pergunta tocar neles, reforce a base e use exemplos diferentes dos habituais (ele já viu explicações que não funcionaram).`,
+  ].filter(Boolean);
+}
+
+// practice=true → em vez do "Próximo passo", 1 pergunta de prática no ponto mais fraco
+function practiceClosing(adapt, lang = 'pt') {
+  const topic = adapt?.weakTopics?.[0];
+  if (!topic) return undefined;
+  const L = langInfo(lang);
+  return `- Termine com "${L.practice}:" e UMA pergunta curta sobre ${topic}, no nível do aluno, SEM a resposta (no lugar do "${L.nextStep}").`;
+}
+
+function chatUserBlock(historyText, message) {
+  return [
+    historyText && `CONVERSA (CONTEXTO):\n${historyText}`,
+    `PERGUNTA ATUAL (USER):\n${message}`
+  ].filter(Boolean).join('\n\n');
+}
+
+// onUsage que também guarda provedor/modelo da chamada (vão em meta.model das
+// mensagens → relatórios de feedback por modelo)
+function usageTap(onUsage) {
+  const info = { provider: null, model: null };
+  const fn = (u) => {
+    info.provider = u?.provider || null;
+    info.model = u?.model || null;
+    if (typeof onUsage === 'function') onUsage(u);
+  };
+  return { onUsage: fn, info };
+}
+
+// tokens dinâmicos
+function chatMaxTokens(message) {
+  const approxLen = (message || '').length;
+  return approxLen < 40 ? 180 : approxLen < 140 ? 260 : 360;
+}
+
+/**
+ * Gera a resposta do tutor e entrega em JSON ou SSE (mesmo contrato do /chat).
+ * `finalize(answer, { provider, model })` persiste e devolve os campos extras ({ historyId, conversationId, … }).
+ * SSE — eventos: queue {position, etaMs} … delta {text} … done {…extras, usedCompression, usedMemory} | error {error, ...}
+ */
+async function respondChat(req, res, { userId, system, user, max_tokens, temperature = 0.3, onUsage: track, usedCompression = false, usedMemory = false, finalize }) {
+  const { onUsage, info: llm } = usageTap(track);
+  if (wantsStream(req)) {
+    openSSE(res);
+
+    const cd = getCooldownMs();
+    if (cd > 0) {
+      sseSend(res, 'error', { error: 'rate_limit', detail: 'cooldown', retryAfterSec: Math.ceil(cd / 1000), cooldownMs: cd });
+      return res.end();
+    }
+
+    const signal = requestSignal(res);
+    const ping = setInterval(() => { if (!res.writableEnded) res.write(': ping\n\n'); }, 15000);
+
+    let out;
+    try {
+      out = await withLLMGate(() =>
+        askLLMStream({
+          system, user, max_tokens, temperature,
+          signal, onUsage,
+          onDelta: (text) => sseSend(res, 'delta', { text })
+        }),
+        {
+          userId, priority: 'chat', signal,
+          onPosition: ({ position, etaMs }) => sseSend(res, 'queue', { position, etaMs })
+        }
+      );
+    } finally {
+      clearInterval(ping);
+    }
+    if (signal.aborted) return; // cliente saiu; nada a persistir
+
+    if (out && typeof out === 'object' && out._error) {
+      sseSend(res, 'error', {
+        error: out._error,
+        retryAfterSec: out.retryAfterSec ?? null,
+        cooldownMs: getCooldownMs?.() || 0
+      });
+      return res.end();
+    }
+    if (!out || typeof out !== 'string') {
+      sseSend(res, 'error', { error: 'llm_failed' });
+      return res.end();
+    }
+
+    // headers já foram: erro ao persistir vira evento, não 500
+    try {
+      const extra = await finalize(out, llm);
+      sseSend(res, 'done', { ...extra, usedCompression, usedMemory });
+    } catch (e) {
+      console.error('respondChat finalize error (stream):', e?.message || e);
+      sseSend(res, 'error', { error: 'erro interno' });
+    }
+    return res.end();
+  }
+
+  let answer;
+  try {
+    answer = await withLLMGate(({ signal } = {}) =>
+      askLLM({ system, user, max_tokens, temperature, signal, onUsage }),
+      llmGateOpts(req, res, 'chat')
+    );
+  } catch (e) {
+    if (e?.status === 429) {
+      const sec = Number(e.retryAfterSec || 30);
+      res.set('Retry-After', String(sec));
+      return res.status(429).json({ error: 'rate_limit', detail: 'TPM exceeded', retryAfterSec: sec });
+    }
+    console.error('askLLM throw (chat):', e?.message || e);
+    return res.status(502).json({ error: 'llm_failed' });
+  }
+
+  if (sendLLMError(res, answer)) return;
+
+  if (!answer || typeof answer !== 'string') {
+    return res.status(502).json({ error: 'llm_failed' });
+  }
+
+  const extra = await finalize(answer, llm);
+  return res.json({ answer, usedCompression, usedMemory, ...extra });
+}
+
+// guia com imagens: o texto delas (OCR) + a mensagem viram o enunciado.
+// null → a resposta (erro) já foi enviada.
+async function guiaProblemFromImages(req, res, { userId, message, imagesBase64, onUsage }) {
+  const texts = [];
+  for (const b64 of imagesBase64) {
+    const t = await withLLMGate(
+      ({ signal } = {}) => ocrImageBase64(b64, { system: prompts.render('ocr', {}, { userId }).text, signal, onUsage }),
+      llmGateOpts(req, res, 'chat')
+    );
+    if (sendLLMError(res, t)) return null;
+    if (typeof t === 'string' && t.trim()) texts.push(t.trim());
+  }
+  const problem = [message.trim(), texts.join('\n\n')].filter(Boolean).join('\n\n').slice(0, 2000);
+  if (!problem) {
+    res.status(502).json({ error: 'llm_failed', hint: 'não consegui ler o texto das imagens' });
+    return null;
+  }
+  return problem;
+}
+
+/**
+ * Turno do modo "guia" (socrático) — mesmo contrato de resposta do /chat + `guia` (estado público).
+ * 1ª mensagem (ou newProblem) = enunciado: resolve em segredo e começa a conduzir.
+ * Depois: confere o passo do aluno, conta tentativas e só revela a resolução
+ * após maxAttempts erros ou pedido explícito (reveal:true ou "mostra a resolução").
+ * `meta`/`extra` entram na mensagem salva e na resposta (ex.: edição → ramo).
+ */
+async function respondGuia(req, res, { userId, convo, ctx, message, nivel, materia, persona, extraRules, onUsage, meta = {}, extra = {} }) {
+  const flag = v => v === true || v === 'true'; // multipart (/chat-with-media) manda string
+  const { maxAttempts } = req.body || {};
+  const newProblem = flag(req.body?.newProblem);
+  const reveal = flag(req.body?.reveal);
+  const gate = (fn) => withLLMGate(fn, llmGateOpts(req, res, 'chat'));
+  const guiaUsage = trackUsage(userId, '/chat/guia');
+
+  let state = convo.tutorState;
+  let check = null;
+  let starting = newProblem || !guia.isActive(state);
+
+  if (!starting) {
+    const wantReveal = reveal || guia.wantsReveal(message);
+    if (!wantReveal) {
+      check = await guia.checkStep({ state, message, lang: req.lang, gate, onUsage: guiaUsage });
+      if (check?._error === 'cancelled') return res.end();
+      if (check?._error) check = null; // segue sem conferência; o tutor ainda tem a solução
+    }
+    if (check?.verdict === 'novo_problema') starting = true;
+    else state = guia.advance(state, check, { reveal: wantReveal });
+  }
+
+  if (starting) {
+    const solution = await guia.solveProblem({ problem: message, materia, nivel, lang: req.lang, gate, onUsage: guiaUsage });
+    if (solution?._error === 'cancelled') return res.end();
+    state = guia.newState({ problem: message, solution: solution?._error ? null : solution, maxAttempts });
+    check = null;
+  }
+
+  const turn = guia.guiaPrompt(state, check);
+  const tutor = buildTutorSystem({
+    userId, nivel, materia, mode: 'guia', persona, lang: req.lang,
+    extraRules: [...extraRules, ...turn.extraRules],
+    closing: turn.closing,
+  });
+  return respondChat(req, res, {
+    userId,
+    system: tutor.system,
+    user: chatUserBlock(ctx.historyText, message),
+    max_tokens: state.status === 'revelado' ? 600 : chatMaxTokens(message),
+    onUsage,
+    usedCompression: ctx.usedCompression,
+    usedMemory: ctx.usedMemory,
+    finalize: async (answer, llm) => {
+      await guia.saveState(convo.id, state);
+      const eventId = uuid();
+      await saveChatExchange({
+        userId,
+        lang: req.lang,
+        conversationId: convo.id,
+        question: message,
+        answer,
+        answerId: eventId,
+        meta: {
+          ...meta,
+          nivel, materia, mode: 'guia', prompt: tutor.prompt, model: llm.model,
+          guia: { verdict: state.verdict, status: state.status, attempts: state.attempts },
+        }
+      });
+      return { historyId: eventId, conversationId: convo.id, guia: guia.publicState(state), ...extra };
+    },
+  });
 }
 
 /* -------------------------------------------------------
@@ -299,67 +709,66 @@ ${tail}`;
 app.post('/chat', async (req, res) => {
   try {
     const {
-      userId, message = '', nivel = 'medio', materia = 'geral',
-      history = [], mode = 'explicar', goal = '',
-      conversationId, conversationTitle = '', persona = {},
+      userId, message = '',
+      history = [], mode = 'explicar',
+      conversationId, practice = false,
       images = [] // [{ base64, name, type }]
     } = req.body || {};
     if (!userId) return res.status(400).json({ error: 'userId é obrigatório' });
+    // nivel/materia/persona/goal: o que vier no body; senão o perfil salvo (/me/profile)
+    const { nivel, materia, persona, goal } = withProfileDefaults(req.body, await getProfile(userId));
 
     const isOnlyImages = Array.isArray(images) && images.length > 0 && (!message || !message.trim());
     if (!isOnlyImages && !message) {
       return res.status(400).json({ error: 'message é obrigatório quando não há imagens' });
     }
 
-    // Persona → regras
-    const { tone = 'didatico', examples = 'cotidiano', respLen = 'medio', favSubject = '' } = persona || {};
-    const toneRule = {
-      didatico: '- Tom didático, acolhedor e explicativo.',
-      formal:   '- Tom objetivo e formal (sem coloquialismos).',
-      motivador:'- Tom encorajador, com reforço positivo curto.'
-    }[tone] || '';
-    const lenRule = {
-      curto: '- Seja conciso (~120 palavras).',
-      medio: '- Tamanho médio (~200–300 palavras).',
-      longo: '- Aprofunde (~350–500 palavras).'
-    }[respLen] || '';
-    const exRule  = examples ? `- Use exemplos do contexto de ${examples}.` : '';
-    const favRule = favSubject ? `- Quando natural, conecte com ${favSubject}.` : '';
-    const personaRule = [toneRule, lenRule, exRule, favRule].filter(Boolean).join('\n');
-
-    const byMode = {
-      explicar:   "- Explique claramente e dê 1 exemplo do nível do aluno.",
-      exercicios: "- Entregue 3 exercícios graduais com gabarito comentado.",
-      quiz:       "- Faça 3 perguntas de múltipla escolha (A-D) e depois dê o gabarito.",
-      resumir:    "- Resuma em 5 bullets curtos e 2 exemplos aplicados.",
-      passoapasso:"- Resolva passo a passo, mostrando o raciocínio de forma sucinta.",
-    };
-    const modeRule = byMode[mode] || byMode.explicar;
-
-    const system = `Você é um tutor em PT-BR.
-Nível: ${nivel} | Matéria: ${materia}${goal ? ` | Objetivo do aluno: ${goal}` : ""}
-Regras:
-${modeRule}
-${personaRule}
-- Formate em Markdown quando ajudar (títulos/itens/código).
-- Seja direto, organizado em listas quando fizer sentido.
-- Termine com um "Próximo passo" (1 linha).`;
-
-       // Somente o contexto desta conversa:
-    const filtered = filterHistoryByConversation(history, conversationId);
-    const trimmed  = filtered.slice(-MAX_TURNS * 2);
-    const { historyText, compressed } = await compressHistoryIfNeeded(trimmed);
+    const quota = await checkQuota(userId);
+    if (!quota.ok) return sendQuotaError(req, res, quota);
+    const { onUsage, info: llm } = usageTap(trackUsage(userId, '/chat'));
+
+    // conversa no banco: o histórico vem daqui, o cliente não precisa reenviar
+    const convo = await getOrCreateConversation({ userId, conversationId });
+    if (!convo) return res.status(404).json({ error: 'Conversa não encontrada' });
+
+    const adapt = materia !== 'geral'
+      ? await getAdaptation(userId, materia).catch(e => { console.warn('getAdaptation error', e?.message || e); return null; })
+      : null;
+    const { system, prompt } = buildTutorSystem({
+      userId, nivel, materia, mode, goal, persona, lang: req.lang,
+      extraRules: masteryRules(adapt),
+      closing: practice ? practiceClosing(adapt, req.lang) : undefined,
+    });
+
+    // Somente o contexto desta conversa. `history` do body só vale p/ clientes
+    // antigos cuja conversa ainda não tem mensagens no banco.
+    const ctx = await buildChatContext({
+      conversation: convo,
+      fallbackHistory: filterHistoryByConversation(history, conversationId),
+    });
  
      
 
-    // =========== Caso 1: imagens por JSON (base64) → Vision ===========
+    // =========== Caso 1: modo guia com imagens → texto das imagens (OCR) segue no guia ===========
+    if (mode === 'guia' && Array.isArray(images) && images.length > 0) {
+      const imagesBase64 = images.map(f => (f?.base64 || '').trim()).filter(Boolean);
+      if (!imagesBase64.length) return res.status(400).json({ error: 'images sem base64' });
+      const problem = await guiaProblemFromImages(req, res, { userId, message, imagesBase64, onUsage });
+      if (!problem) return;
+      return await respondGuia(req, res, {
+        userId, convo, ctx, message: problem, nivel, materia, persona, extraRules: masteryRules(adapt), onUsage,
+        meta: { imagesCount: imagesBase64.length },
+      });
+    }
+
+    // =========== Caso 2: imagens por JSON (base64) → Vision ===========
     if (Array.isArray(images) && images.length > 0) {
       const imagesBase64 = images.map(f => (f?.base64 || '').trim()).filter(Boolean);
       if (!imagesBase64.length) return res.status(400).json({ error: 'images sem base64' });
 
       const userText =
         [
-          filtered?.length ? `CONVERSA (CONTEXTO):\n${joinHistoryToText(filtered)}` : '',
+          ctx.historyText ? `CONVERSA (CONTEXTO):\n${ctx.historyText}` : '',
           message ? `PERGUNTA ATUAL (USER):\n${message}` : ''
         ]
           .filter(Boolean)
@@ -368,7 +777,10 @@ ${personaRule}
 
       let answer;
       try {
-        answer = await askLLMVision({ system, text: userText.slice(0, 2000), imagesBase64 });
+        answer = await withLLMGate(
+          ({ signal } = {}) => askLLMVision({ system, text: userText.slice(0, 2000), imagesBase64, signal, onUsage }),
+          llmGateOpts(req, res, 'chat')
+        );
       } catch (e) {
         if (e?.status === 429) {
           const sec = Number(e.retryAfterSec || 30);
@@ -378,11 +790,7 @@ ${personaRule}
         console.warn('Vision throw (/chat):', e?.message || e);
       }
 
-      if (answer && typeof answer === 'object' && answer._error === 'rate_limit') {
-        const sec = Number(answer.retryAfterSec || 30);
-        res.set('Retry-After', String(sec));
-        return res.status(429).json({ error: 'rate_limit', detail: 'TPM exceeded', retryAfterSec: sec });
-      }
+      if (sendLLMError(res, answer)) return;
       if (!answer || typeof answer !== 'string') {
         return res.status(502).json({ error: 'llm_failed', hint: 'verifique /health, /diag/llm e logs' });
       }
@@ -394,81 +802,204 @@ ${personaRule}
       }));
 
       const eventId = uuid();
-      res.json({ answer, usedCompression: false, historyId: eventId, userAttachments });
+      await saveChatExchange({
+        userId,
+        lang: req.lang,
+        conversationId: convo.id,
+        question: message || '(só imagens)',
+        answer,
+        answerId: eventId,
+        meta: {
+          nivel, materia: 'geral', mode, prompt, model: llm.model,
+          imagesCount: imagesBase64.length,
+          attachmentsMeta: userAttachments.map(a => ({ name: a.name, type: a.type }))
+        }
+      });
+      return res.json({
+        answer, usedCompression: ctx.usedCompression, usedMemory: ctx.usedMemory,
+        historyId: eventId, conversationId: convo.id, userAttachments
+      });
+    }
+
+    // =========== Caso 3: modo guia (socrático) ===========
+    if (mode === 'guia') {
+      return await respondGuia(req, res, {
+        userId, convo, ctx, message, nivel, materia, persona, extraRules: masteryRules(adapt), onUsage,
+      });
+    }
 
-      if (typeof addEvent === 'function') {
-        addEvent({
-          id: eventId,
+    // =========== Caso 4: Fluxo texto puro (JSON ou SSE) ===========
+    return await respondChat(req, res, {
+      userId, system,
+      user: chatUserBlock(ctx.historyText, message),
+      max_tokens: chatMaxTokens(message),
+      onUsage,
+      usedCompression: ctx.usedCompression,
+      usedMemory: ctx.usedMemory,
+      finalize: async (answer, llm) => {
+        const eventId = uuid();
+        await saveChatExchange({
           userId,
-          type: 'chat',
-          payload: {
-            nivel, materia: 'geral', question: message || '(só imagens)',
-            answer, favorite: false,
-            conversationId: conversationId || null,
-            conversationTitle: conversationTitle || null,
-            imagesCount: imagesBase64.length,
-            attachmentsMeta: userAttachments.map(a => ({ name: a.name, type: a.type }))
-          },
-          createdAt: nowISO()
+          lang: req.lang,
+          conversationId: convo.id,
+          question: message,
+          answer,
+          answerId: eventId,
+          meta: { nivel, materia, mode, prompt, model: llm.model, ...(goal ? { goal } : {}) }
         });
-      }
-      return;
-    }
+        return { historyId: eventId, conversationId: convo.id };
+      },
+    });
+  } catch (e) {
+    console.error('chat error', e);
+    if (res.headersSent) return res.end();
+    return res.status(500).json({ error: 'erro interno' });
+  }
+});
 
-    // =========== Caso 2: Fluxo texto puro ===========
-    const userBlock = [
-      historyText && `CONVERSA (CONTEXTO):\n${historyText}`,
-      `PERGUNTA ATUAL (USER):\n${message}`
-    ].filter(Boolean).join('\n\n');
+/* -------------------------------------------------------
+   Regenerar / editar mensagens (versões e ramos)
+------------------------------------------------------- */
+// POST /chat/messages/:id/regenerate { userId, persona?, instruction?, stream? }
+// :id = historyId da resposta. A versão anterior continua guardada (ver /versions).
+app.post('/chat/messages/:id/regenerate', async (req, res) => {
+  try {
+    const { userId, instruction = '' } = req.body || {};
+    if (!userId) return res.status(400).json({ error: 'userId é obrigatório' });
+    const { persona } = withProfileDefaults(req.body, await getProfile(userId));
 
-    // tokens dinâmicos
-    const approxLen = (message || '').length;
-    const maxTokens = approxLen < 40 ? 180 : approxLen < 140 ? 260 : 360;
+    const prev = await findAssistantMessage(userId, req.params.id);
+    if (!prev || !prev.replyTo) return res.status(404).json({ error: 'Mensagem não encontrada' });
+    const meta = prev.meta || {};
+    if (meta.imagesCount) {
+      return res.status(409).json({ error: 'Respostas sobre imagens não podem ser regeneradas' });
+    }
 
+    // guia: o estado da conversa (tutorState) é o desta última resposta; as anteriores já ficaram para trás
+    const state = meta.mode === 'guia' ? prev.conversation.tutorState : null;
+    if (meta.mode === 'guia' && (!state || await lastAnswerId(prev.conversationId) !== prev.id)) {
+      return res.status(409).json({ error: 'No modo guia só a última resposta pode ser regenerada' });
+    }
 
-    // depois
-let answer;
-try {
-  answer = await withLLMGate(() =>
-    askLLM({ system, user: userBlock, max_tokens: maxTokens, temperature: 0.3 })
-  );
-} catch (e) {
-  if (e?.status === 429) {
-    const sec = Number(e.retryAfterSec || 30);
-    res.set('Retry-After', String(sec));
-    return res.status(429).json({ error: 'rate_limit', detail: 'TPM exceeded', retryAfterSec: sec });
+    const quota = await checkQuota(userId);
+    if (!quota.ok) return sendQuotaError(req, res, quota);
+
+    const question = prev.replyTo.content;
+    // contexto = só o que veio antes da pergunta
+    const ctx = await buildChatContext({ conversation: prev.conversation, before: prev.replyTo.createdAt });
+
+    const turn = state ? guia.guiaPrompt(state, state.verdict ? { verdict: state.verdict } : null) : null;
+    const { system, prompt } = buildTutorSystem({
+      ...meta, userId, persona, lang: req.lang,
+      extraRules: [
+        ...(turn ? turn.extraRules : []),
+        '- O aluno pediu outra explicação: mude a abordagem e os exemplos da resposta anterior.',
+        instruction && `- Pedido do aluno: ${String(instruction).slice(0, 200)}`,
+      ],
+      ...(turn ? { closing: turn.closing } : {}),
+    });
+    const user = [
+      chatUserBlock(ctx.historyText, question),
+      `RESPOSTA ANTERIOR (NÃO REPITA):\n${String(prev.content).slice(0, 800)}`
+    ].join('\n\n');
+
+    return await respondChat(req, res, {
+      userId, system, user,
+      max_tokens: state?.status === 'revelado' ? 600 : chatMaxTokens(question),
+      temperature: 0.7,
+      onUsage: trackUsage(userId, '/chat/regenerate'),
+      usedCompression: ctx.usedCompression,
+      usedMemory: ctx.usedMemory,
+      finalize: async (answer, llm) => {
+        const v = await addAnswerVersion({ questionId: prev.replyToId, answer, answerId: uuid(), meta: { ...meta, prompt, model: llm.model } });
+        if (meta.topic) ingestMastery({ userId, materia: meta.materia, topic: meta.topic, source: 'chat_reexplain' });
+        return { historyId: v.id, conversationId: prev.conversationId, version: v.version, previousId: prev.id };
+      },
+    });
+  } catch (e) {
+    console.error('POST /chat/messages/:id/regenerate error', e);
+    if (res.headersSent) return res.end();
+    return res.status(500).json({ error: 'erro interno' });
   }
-  console.error('askLLM throw (chat):', e?.message || e);
-  return res.status(502).json({ error: 'llm_failed' });
-}
+});
 
-    if (answer && typeof answer === 'object' && answer._error === 'rate_limit') {
-      const sec = Number(answer.retryAfterSec || 30);
-      res.set('Retry-After', String(sec));
-      return res.status(429).json({ error: 'rate_limit', detail: 'TPM exceeded', retryAfterSec: sec });
-    }
+// GET /chat/messages/:id/versions?userId — :id = pergunta ou qualquer versão da resposta
+app.get('/chat/messages/:id/versions', async (req, res) => {
+  try {
+    const { userId } = req.query || {};
+    if (!userId) return res.status(400).json({ error: 'userId é obrigatório' });
+    const out = await listAnswerVersions(userId, req.params.id);
+    if (!out) return res.status(404).json({ error: 'Mensagem não encontrada' });
+    return res.json(out);
+  } catch (e) {
+    console.error('GET /chat/messages/:id/versions error', e);
+    return res.status(500).json({ error: 'erro interno' });
+  }
+});
 
-    if (!answer || typeof answer !== 'string') {
-      return res.status(502).json({ error: 'llm_failed' });
+// POST /chat/messages/:id/edit { userId, content, persona?, stream? }
+// :id = pergunta do usuário (ou a resposta a ela). Não reescreve a conversa:
+// cria um ramo com as mensagens anteriores + a pergunta editada e responde nele.
+app.post('/chat/messages/:id/edit', async (req, res) => {
+  try {
+    const { userId, content } = req.body || {};
+    if (!userId || typeof content !== 'string' || !content.trim()) {
+      return res.status(400).json({ error: 'userId e content são obrigatórios' });
+    }
+    const { persona } = withProfileDefaults(req.body, await getProfile(userId));
+    const message = content.trim();
+
+    let q = await findOwnMessage(userId, req.params.id);
+    if (q && q.role === 'assistant') q = q.replyToId ? await findOwnMessage(userId, q.replyToId) : null;
+    if (!q || q.role !== 'user') return res.status(404).json({ error: 'Mensagem não encontrada' });
+    const meta = q.meta || {};
+    if (meta.imagesCount) {
+      return res.status(409).json({ error: 'Perguntas com imagens não podem ser editadas' });
     }
 
-    const eventId = uuid();
-    res.json({ answer, usedCompression: compressed, historyId: eventId });
+    const quota = await checkQuota(userId);
+    if (!quota.ok) return sendQuotaError(req, res, quota);
 
-    if (typeof addEvent === 'function') {
-      addEvent({
-        id: eventId,
-        userId,
-        type: 'chat',
-        payload: {
-          nivel, materia, question: message, answer, favorite: false,
-          conversationId: conversationId || null, conversationTitle: conversationTitle || null
-        },
-        createdAt: nowISO()
+    const ctx = await buildChatContext({ conversation: q.conversation, before: q.createdAt });
+
+    // guia: o ramo nasce antes (leva o tutorState) e o turno segue o fluxo normal do guia nele
+    if (meta.mode === 'guia') {
+      const fork = await forkConversation({ userId, conversationId: q.conversationId, beforeMessageId: q.id });
+      return await respondGuia(req, res, {
+        userId, convo: fork, ctx, message,
+        nivel: meta.nivel, materia: meta.materia, persona, extraRules: [],
+        onUsage: trackUsage(userId, '/chat/edit'),
+        meta: { editedFromId: q.id },
+        extra: { forkedFromId: q.conversationId },
       });
     }
+
+    const tutor = buildTutorSystem({ ...meta, userId, persona, lang: req.lang });
+
+    return await respondChat(req, res, {
+      userId,
+      system: tutor.system,
+      user: chatUserBlock(ctx.historyText, message),
+      max_tokens: chatMaxTokens(message),
+      onUsage: trackUsage(userId, '/chat/edit'),
+      usedCompression: ctx.usedCompression,
+      usedMemory: ctx.usedMemory,
+      finalize: async (answer, llm) => {
+        const fork = await forkConversation({ userId, conversationId: q.conversationId, beforeMessageId: q.id });
+        const answerId = uuid();
+        await appendExchange({
+          conversationId: fork.id,
+          question: message,
+          answer,
+          answerId,
+          meta: { ...meta, prompt: tutor.prompt, model: llm.model, editedFromId: q.id },
+        });
+        return { historyId: answerId, conversationId: fork.id, forkedFromId: q.conversationId };
+      },
+    });
   } catch (e) {
-    console.error('chat error', e);
+    console.error('POST /chat/messages/:id/edit error', e);
+    if (res.headersSent) return res.end();
     return res.status(500).json({ error: 'erro interno' });
   }
 });
@@ -476,56 +1007,39 @@ try {
 /* -------------------------------------------------------
    Chat com IMAGENS (multipart/form-data) — compat com App.js
 ------------------------------------------------------- */
-app.post('/chat-with-media', uploadImages.array('images', 6), async (req, res) => {
+app.post('/chat-with-media', uploadImages.array('images', 6), authUser, async (req, res) => {
   try {
     const {
       userId,
       message = '',
-      nivel = 'medio',
       mode = 'explicar',
-      persona,
       conversationId,
-      conversationTitle,
       history: historyRaw
     } = req.body || {};
 
     if (!userId) return res.status(400).json({ error: 'userId é obrigatório' });
+    // persona chega como string JSON (multipart); sem ela/nivel/materia → perfil salvo
+    const { nivel, materia, persona, goal } = withProfileDefaults(req.body, await getProfile(userId));
+    await resolveRequestLang(req); // o body multipart só existe depois do multer
+    const practice = req.body?.practice === true || req.body?.practice === 'true';
 
-    const history = (() => { try { return JSON.parse(historyRaw || '[]'); } catch { return []; } })();
-    const p = (() => { try { return JSON.parse(persona || '{}'); } catch { return {}; } })();
-    const { tone = 'didatico', examples = 'cotidiano', respLen = 'medio', favSubject = '' } = p || {};
-
-    const toneRule = {
-      didatico: '- Tom didático, acolhedor e explicativo.',
-      formal:   '- Tom objetivo e formal (sem coloquialismos).',
-      motivador:'- Tom encorajador, com reforço positivo curto.'
-    }[tone] || '';
-    const lenRule = {
-      curto: '- Seja conciso (~120 palavras).',
-      medio: '- Tamanho médio (~200–300 palavras).',
-      longo: '- Aprofunde (~350–500 palavras).'
-    }[respLen] || '';
-    const exRule  = examples ? `- Use exemplos do contexto de ${examples}.` : '';
-    const favRule = favSubject ? `- Quando natural, conecte com ${favSubject}.` : '';
-    const personaRule = [toneRule, lenRule, exRule, favRule].filter(Boolean).join('\n');
-
-    const byMode = {
-      explicar:   "- Explique claramente e dê 1 exemplo do nível do aluno.",
-      exercicios: "- Entregue 3 exercícios graduais com gabarito comentado.",
-      quiz:       "- Faça 3 perguntas de múltipla escolha (A-D) e depois dê o gabarito.",
-      resumir:    "- Resuma em 5 bullets curtos e 2 exemplos aplicados.",
-      passoapasso:"- Resolva passo a passo, mostrando o raciocínio de forma sucinta.",
-    };
-    const modeRule = byMode[mode] || byMode.explicar;
+    const quota = await checkQuota(userId);
+    if (!quota.ok) return sendQuotaError(req, res, quota);
+    const { onUsage, info: llm } = usageTap(trackUsage(userId, '/chat-with-media'));
 
-    const system = `Você é um tutor em PT-BR com visão (interpreta imagens).
-Nível: ${nivel}
-Regras:
-${modeRule}
-${personaRule}
-- Formate em Markdown quando ajudar (títulos/itens/código).
-- Seja direto, organizado em listas quando fizer sentido.
-- Termine com um "Próximo passo" (1 linha).`;
+    const convo = await getOrCreateConversation({ userId, conversationId });
+    if (!convo) return res.status(404).json({ error: 'Conversa não encontrada' });
+
+    const history = (() => { try { return JSON.parse(historyRaw || '[]'); } catch { return []; } })();
+    // mesmo prompt do /chat (template "tutor", variantes A/B, domínio do aluno e idioma)
+    const adapt = materia !== 'geral'
+      ? await getAdaptation(userId, materia).catch(e => { console.warn('getAdaptation error', e?.message || e); return null; })
+      : null;
+    const { system, prompt } = buildTutorSystem({
+      userId, nivel, materia, mode, goal, persona, lang: req.lang,
+      extraRules: masteryRules(adapt),
+      closing: practice ? practiceClosing(adapt, req.lang) : undefined,
+    });
 
     const files = Array.isArray(req.files) ? req.files : [];
     if (!files.length && !message.trim()) {
@@ -553,30 +1067,39 @@ ${personaRule}
       }
     }
 
-   // Somente o contexto desta conversa:
-    const filtered = filterHistoryByConversation(history, conversationId);
-    const trimmed  = filtered.slice(-MAX_TURNS * 2);
-    const { historyText } = await compressHistoryIfNeeded(trimmed);
- 
-   
+    // Somente o contexto desta conversa (banco primeiro; `history` do form é legado)
+    const ctx = await buildChatContext({
+      conversation: convo,
+      fallbackHistory: filterHistoryByConversation(history, conversationId),
+    });
+
+    // guia: como no /chat — texto das imagens (OCR) vira o enunciado/passo do aluno
+    if (mode === 'guia') {
+      const problem = imagesBase64.length
+        ? await guiaProblemFromImages(req, res, { userId, message, imagesBase64, onUsage })
+        : message.trim();
+      if (!problem) return;
+      return await respondGuia(req, res, {
+        userId, convo, ctx, message: problem, nivel, materia, persona, extraRules: masteryRules(adapt), onUsage,
+        ...(imagesBase64.length ? { meta: { imagesCount: imagesBase64.length } } : {}),
+      });
+    }
 
     const parts = [];
-    if (historyText && historyText.trim()) parts.push(`CONVERSA (CONTEXTO):\n${historyText}`);
+    if (ctx.historyText && ctx.historyText.trim()) parts.push(`CONVERSA (CONTEXTO):\n${ctx.historyText}`);
     if (message && message.trim())        parts.push(`PERGUNTA ATUAL (USER):\n${message}`);
     const safeUserText = (parts.join('\n\n').trim() || 'Analise a(s) imagem(ns) e explique.').slice(0, 1200);
 
     // 1) tenta Vision
     let answer = null;
     try {
-      const vr = await withLLMGate(() => askLLMVision({ system, text: safeUserText, imagesBase64 }));
+      const vr = await withLLMGate(
+        ({ signal } = {}) => askLLMVision({ system, text: safeUserText, imagesBase64, signal, onUsage }),
+        llmGateOpts(req, res, 'chat')
+      );
 
-     
       if (typeof vr === 'string') answer = vr;
-      if (vr && typeof vr === 'object' && vr._error === 'rate_limit') {
-        const sec = Number(vr.retryAfterSec || 30);
-        res.set('Retry-After', String(sec));
-        return res.status(429).json({ error: 'rate_limit', detail: 'TPM exceeded', retryAfterSec: sec });
-      }
+      if (sendLLMError(res, vr)) return;
     } catch (e) {
       if (e?.status === 429) {
         const sec = Number(e.retryAfterSec || 30);
@@ -591,8 +1114,11 @@ ${personaRule}
       const texts = [];
       for (const b64 of imagesBase64) {
         try {
-          const t = await ocrImageBase64(b64);
-          if (t) texts.push(t);
+          const t = await withLLMGate(
+            ({ signal } = {}) => ocrImageBase64(b64, { system: prompts.render('ocr', {}, { userId }).text, signal, onUsage }),
+            llmGateOpts(req, res, 'chat')
+          );
+          if (typeof t === 'string' && t) texts.push(t);
         } catch (e) {
           console.warn('OCR falhou para uma imagem:', e?.message || e);
         }
@@ -609,8 +1135,9 @@ ${personaRule}
 
       let textAnswer;
             try {
-              textAnswer = await withLLMGate(() =>
-                askLLM({ system, user: textPrompt, max_tokens: maxTokens, temperature: 0.3 })
+              textAnswer = await withLLMGate(({ signal } = {}) =>
+                askLLM({ system, user: textPrompt, max_tokens: maxTokens, temperature: 0.3, signal, onUsage }),
+                llmGateOpts(req, res, 'chat')
               );
             } catch (e) {
         if (e?.status === 429) {
@@ -622,39 +1149,30 @@ ${personaRule}
         return res.status(502).json({ error: 'llm_failed' });
       }
 
-      if (textAnswer && typeof textAnswer === 'object' && textAnswer._error === 'rate_limit') {
-        const sec = Number(textAnswer.retryAfterSec || 30);
-        res.set('Retry-After', String(sec));
-        return res.status(429).json({ error: 'rate_limit', detail: 'TPM exceeded', retryAfterSec: sec });
-      }
-      if (!textAnswer) return res.status(502).json({ error: 'llm_failed' });
+      if (sendLLMError(res, textAnswer)) return;
+      if (!textAnswer || typeof textAnswer !== 'string') return res.status(502).json({ error: 'llm_failed' });
 
       answer = textAnswer;
     }
 
     const eventId = uuid();
-    if (typeof addEvent === 'function') {
-      addEvent({
-        id: eventId,
-        userId,
-        type: 'chat',
-        payload: {
-          nivel,
-          materia: 'geral',
-          question: message || '(só imagens)',
-          answer,
-          favorite: false,
-          conversationId: conversationId || null,
-          conversationTitle: conversationTitle || null,
-          imagesCount: imagesBase64.length
-        },
-        createdAt: nowISO()
-      });
-    }
+    await saveChatExchange({
+      userId,
+      lang: req.lang,
+      conversationId: convo.id,
+      question: message || '(só imagens)',
+      answer,
+      answerId: eventId,
+      meta: { nivel, materia: 'geral', mode, prompt, model: llm.model, imagesCount: imagesBase64.length }
+    });
 
-    return res.json({ answer, usedCompression: false, historyId: eventId });
+    return res.json({
+      answer, usedCompression: ctx.usedCompression, usedMemory: ctx.usedMemory,
+      historyId: eventId, conversationId: convo.id
+    });
   } catch (e) {
     console.error('chat-with-media error', e);
+    if (res.headersSent) return res.end();
     return res.status(500).json({ error: 'erro interno' });
   }
 });
@@ -663,21 +1181,25 @@ ${personaRule}
    Summarize / Flashcards
 ------------------------------------------------------- */
 app.post('/summarize', async (req, res) => {
-  const { userId, text, nivel = 'medio', mode = 'resumo' } = req.body || {};
+  const { userId, text, mode = 'resumo' } = req.body || {};
   if (!userId || !text) return res.status(400).json({ error: 'userId e text são obrigatórios' });
+  const { nivel } = withProfileDefaults(req.body, await getProfile(userId));
 
-  let system, user;
-  if (mode === 'flashcards') {
-    system = 'Você gera flashcards de estudo em PT-BR.';
-    user = `Crie 5 flashcards curtos em formato de PERGUNTA e RESPOSTA, claros e diretos, baseados neste texto:\n\n${text}`;
-  } else {
-    system = 'Você resume conteúdos de estudo em PT-BR.';
-    user = `Resuma o seguinte texto em até 5 bullets e 2 exemplos aplicados:\n\n${text}`;
-  }
+  const quota = await checkQuota(userId);
+  if (!quota.ok) return sendQuotaError(req, res, quota);
+
+  if (mode === 'flashcards') return summarizeToFlashcards(req, res);
 
-  const answer = await withLLMGate(() => askLLM({ system, user, max_tokens: 300 }));
+  const system = [`Você resume conteúdos de estudo em ${langInfo(req.lang).prompt}.`, langRule(req.lang)].filter(Boolean).join('\n');
+  const user = `Resuma o seguinte texto em até 5 bullets e 2 exemplos aplicados (nível do aluno: ${nivel}):\n\n${text}`;
+
+  const answer = await withLLMGate(
+    ({ signal } = {}) => askLLM({ system, user, max_tokens: 300, signal, onUsage: trackUsage(userId, '/summarize') }),
+    llmGateOpts(req, res, 'summarize')
+  );
 
-  if (!answer) return res.status(502).json({ error: 'Não consegui resumir agora' });
+  if (sendLLMError(res, answer)) return;
+  if (!answer || typeof answer !== 'string') return res.status(502).json({ error: 'Não consegui resumir agora' });
 
   if (typeof addEvent === 'function') {
     addEvent({
@@ -692,11 +1214,57 @@ app.post('/summarize', async (req, res) => {
   res.json({ summary: answer });
 });
 
+// mode 'flashcards': cartões estruturados → deck (por nome + matéria) com revisão espaçada.
+// body extra: { deck?, materia?, count? }. `summary` continua vindo em texto p/ o app antigo.
+async function summarizeToFlashcards(req, res) {
+  const { userId, text, deck: deckName } = req.body || {};
+  const { nivel, materia } = withProfileDefaults(req.body, await getProfile(userId));
+  const count = Math.max(1, Math.min(15, Number(req.body?.count) || 5));
+
+  const system = `Você gera flashcards de estudo em ${langInfo(req.lang).prompt}.
+- Responda APENAS JSON válido no formato:
+{"cards":[{"front":"pergunta curta","back":"resposta clara e direta"}]}
+- Uma ideia por cartão; nível do aluno: ${nivel}.${langRule(req.lang) ? `\n${langRule(req.lang)}` : ''}`;
+  const user = `Crie ${count} flashcards de PERGUNTA e RESPOSTA baseados neste texto:\n\n${text}`;
+
+  const raw = await withLLMGate(
+    ({ signal } = {}) => askLLMJson({ system, user, max_tokens: 90 * count + 80, temperature: 0.3, signal, onUsage: trackUsage(userId, '/summarize') }),
+    llmGateOpts(req, res, 'summarize')
+  );
+  if (sendLLMError(res, raw)) return;
+  const cards = parseGeneratedCards(raw);
+  if (!cards) return res.status(502).json({ error: 'Não consegui gerar os flashcards agora' });
+
+  try {
+    const deck = await flashcardStore.findOrCreateDeck({
+      userId,
+      name: (typeof deckName === 'string' && deckName.trim()) || `Flashcards — ${materia}`,
+      materia,
+    });
+    const saved = await flashcardStore.addCards(userId, deck.id, cards, { source: 'summarize' });
+    const summary = saved.map((c, i) => `${i + 1}. **P:** ${c.front}\n   **R:** ${c.back}`).join('\n');
+
+    addEvent({
+      id: uuid(),
+      userId,
+      type: 'summary',
+      payload: { text, mode: 'flashcards', summary, deckId: deck.id, favorite: false },
+      createdAt: nowISO(),
+    }).catch(e => console.warn('summary event error', e?.message || e));
+
+    res.json({ summary, deck: { id: deck.id, name: deck.name, materia: deck.materia }, cards: saved });
+  } catch (e) {
+    console.error('summarize flashcards error', e);
+    res.status(500).json({ error: 'erro interno' });
+  }
+}
+
 /* -------------------------------------------------------
    ASR (voz -> texto) com whisper-cli (offline)
 ------------------------------------------------------- */
-app.post('/transcribe', upload.single('audio'), async (req, res) => {
+app.post('/transcribe', upload.single('audio'), authUser, async (req, res) => {
   try {
+    const lang = await resolveRequestLang(req); // body multipart: só depois do multer
     if (!req.file) return res.status(400).json({ error: 'arquivo de áudio ausente' });
     if (!ffmpegPath) return res.status(500).json({ error: 'ffmpeg-static ausente' });
 
@@ -724,7 +1292,7 @@ app.post('/transcribe', upload.single('audio'), async (req, res) => {
     await new Promise((resolve, reject) => {
       const threads = Number(process.env.WHISPER_THREADS || cpuCount);
       const args = [
-        '-m', modelPath, '-l', 'pt', '-otxt', '-of', outPrefix,
+        '-m', modelPath, '-l', langInfo(lang).whisper, '-otxt', '-of', outPrefix,
         '-t', String(threads), '-bs', '1', '-sns',
         wavPath,
       ];
@@ -772,9 +1340,17 @@ app.post('/vision/ocr', async (req, res) => {
       processedBase64 = processed.toString('base64');
     }
 
-    const text = await withLLMGate(() => ocrImageBase64(processedBase64));
+    const text = await withLLMGate(
+      ({ signal } = {}) => ocrImageBase64(processedBase64, {
+        system: prompts.render('ocr', {}, { userId }).text,
+        signal,
+        onUsage: trackUsage(userId, '/vision/ocr'),
+      }),
+      llmGateOpts(req, res, 'chat')
+    );
+    if (sendLLMError(res, text)) return;
 
-    return res.json({ text: text || '' });
+    return res.json({ text: typeof text === 'string' ? text : '' });
   } catch (e) {
     console.error('Vision OCR exception', e);
     if (e?.status === 429) return res.status(429).json({ error: 'quota', detail: 'insufficient_quota' });
@@ -791,7 +1367,12 @@ app.get('/history', async (req, res) => {
     const { userId, limit = 50, favorite } = req.query || {};
     if (!userId) return res.status(400).json({ error: 'userId é obrigatório' });
 
-    let items = await listEvents(userId, Number(limit) || 50);
+    const max = Number(limit) || 50;
+    // eventos (resumos, planos, chats antigos) + respostas de chat das conversas
+    const [events, chats] = await Promise.all([listEvents(userId, max), listChatItems(userId, max)]);
+    let items = events.concat(chats)
+      .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))
+      .slice(0, max);
 
     if (typeof favorite !== 'undefined') {
       const want = String(favorite) === '1' || String(favorite) === 'true';
@@ -814,6 +1395,9 @@ app.patch('/history/:id/favorite', async (req, res) => {
       return res.status(400).json({ error: 'userId e favorite (boolean) são obrigatórios' });
     }
 
+    // resposta de chat (Message)?
+    if (await setMessageFavorite(userId, id, favorite)) return res.json({ ok: true });
+
     const items = await listEvents(userId, 10000);
     const found = items.find(it => it.id === id);
     if (!found) return res.status(404).json({ error: 'Item não encontrado' });
@@ -837,7 +1421,7 @@ app.delete('/history/:id', async (req, res) => {
     const { userId } = req.query || {};
     if (!userId) return res.status(400).json({ error: 'userId é obrigatório' });
 
-    const removed = await removeEvent(id, userId);
+    const removed = (await removeExchange(userId, id)) || (await removeEvent(id, userId));
     return res.json({ ok: removed > 0 });
   } catch (e) {
     console.error('DELETE /history/:id error', e);
@@ -849,11 +1433,19 @@ app.delete('/history/:id', async (req, res) => {
 ------------------------------------------------------- */
 app.post('/planner/compose', async (req, res) => {
   try {
-    const { userId, nivel='medio', dataAlvo, minutosPorDia=60, itens=[] } = req.body || {};
+    const { userId, minutosPorDia=60, itens=[] } = req.body || {};
+    // sem nivel/dataAlvo/objetivo no body → perfil salvo (nível, data da prova-alvo, metas)
+    const profile = userId ? await getProfile(userId) : null;
+    const nivel = req.body?.nivel || profile?.level || 'medio';
+    const dataAlvo = req.body?.dataAlvo || profile?.targetExamDate;
+    const objetivoGeral = req.body?.objetivoGeral || profile?.goals.join('; ') || '';
     if (!userId || !dataAlvo || !Array.isArray(itens) || !itens.length) {
       return res.status(400).json({ error: 'userId, dataAlvo e itens são obrigatórios' });
     }
 
+    const quota = await checkQuota(userId);
+    if (!quota.ok) return sendQuotaError(req, res, quota);
+
     const start = Date.now();
     const BUDGET_MS   = 52000;
     const FAST_TIMEOUT = 45000;
@@ -866,7 +1458,7 @@ app.post('/planner/compose', async (req, res) => {
 
     const safeItens = itens.map((it, i) => ({
       idx: i + 1,
-      materia: (it.materia || '').slice(0, 60),
+      materia: (it.materia || profile.defaultMateria || '').slice(0, 60),
       texto: String(it.texto || '').replace(/\s+/g, ' ').slice(0, SAFE_ITEM_CHARS),
       prioridade: it.prioridade || 'média'
     })).slice(0, 8);
@@ -894,54 +1486,35 @@ app.post('/planner/compose', async (req, res) => {
       materias = [{ nome, topicos: tops, prioridade: 2 }];
     }
 
+    // tópicos fracos do aluno nas matérias do plano (GET /progress)
+    const wanted = new Set(materias.map(m => normKey(m.nome)));
+    const fracos = await getProgress(userId)
+      .then(p => p.weakTopics.filter(t => wanted.has(normKey(t.materia))).slice(0, 6))
+      .catch(e => { console.warn('getProgress error', e?.message || e); return []; });
+
     // prompt do planner
-    const systemPlan = `Você é um planner pessoal (PT-BR) para estudos, rotinas, viagens, finanças ou fitness.
-RETORNE APENAS JSON válido com o formato:
-{
- "planId": "string",
- "meta": {
-   "titulo": "string",
-   "categoria": "estudos|organizacional|viagem|fitness|finanças|outros",
-   "janela": {"inicio":"AAAA-MM-DD","fim":"AAAA-MM-DD"},
-   "minutosPorDia": 20..240,
-   "premissas": ["..."]
- },
- "schedule": [
-   {
-     "data":"AAAA-MM-DD",
-     "blocos":[
-       {"inicio":"HH:MM","fim":"HH:MM","tipo":"tarefa|pausa|buffer","titulo":"...","descricao":"...","topicos":["..."],"prioridade":"alta|média|baixa","origem":{"from":"chat|manual","messageId":""}}
-     ]
-   }
- ],
- "checklist":[
-   {"id":"t1","titulo":"...","prazo":"AAAA-MM-DD","prioridade":"alta|média|baixa"}
- ],
- "observacoes":"string",
- "racional":["decisão 1","decisão 2"]
-}
-Regras:
-- Distribua blocos com horários reais, respeitando capacidade diária e preferências.
-- Insira PAUSAS: a cada 45–60min, 10–15min de descanso (ajuste conforme input).
-- Insira BUFFERS curtos quando fizer sentido (trânsito, imprevistos).
-- Use prioridades para ordenar; antecipe 'alta'.
-- Se itens vierem do chat, preencha "origem.from":"chat".
-- Se faltar detalhes, faça suposições razoáveis e explique no "racional".`;
+    const plannerPrompt = prompts.render('planner', {
+      lang: langInfo(req.lang).prompt,
+      langRule: langRule(req.lang) ? `\n${langRule(req.lang)}` : '',
+    }, { userId });
+    const systemPlan = plannerPrompt.text;
 
     const inicioPeriodo = (req.body.contexto?.janela?.inicio) || new Date().toISOString().slice(0,10);
-    const fimPeriodo = new Date(req.body.dataAlvo).toISOString().slice(0,10);
+    const fimPeriodo = new Date(dataAlvo).toISOString().slice(0,10);
 
     const userPlan = `Dados do usuário:
 - Categoria desejada: ${req.body.categoriaDesejada || "auto"}
 - Capacidade/dia: ${capDia} min
-- Janela: ${toBR(inicioPeriodo)} → ${toBR(fimPeriodo)}
+- Janela: ${toBR(inicioPeriodo, req.lang)} → ${toBR(fimPeriodo, req.lang)}
 - Preferência horários: ${req.body.contexto?.preferenciaHorarios?.inicio || "07:30"}–${req.body.contexto?.preferenciaHorarios?.fim || "22:00"}
 - Pausas: a cada ${req.body.contexto?.pausas?.aCadaMinutos || 50}min por ${req.body.contexto?.pausas?.duracaoMin || 10}min
 - Indisponibilidades: ${JSON.stringify(req.body.contexto?.indisponibilidades || [])}
 - Premissas: ${(req.body.contexto?.premissas || []).join('; ') || "nenhuma"}
+${objetivoGeral ? `- Objetivo: ${objetivoGeral.slice(0, 300)}\n` : ''}${profile.targetExam ? `- Prova-alvo: ${profile.targetExam}${profile.targetExamDate ? ` em ${toBR(profile.targetExamDate, req.lang)}` : ''}\n` : ''}
 
 Itens (com prioridade):
 ${safeItens.map((it, i) => `- [${i+1}] prio:${it.prioridade||'média'} ${it.materia||'Geral'} → ${it.texto.slice(0,120)}`).join('\n')}
+${fracos.length ? `\nTópicos fracos do aluno (priorize e dê mais tempo/revisão): ${fracos.map(t => `${t.materia} → ${t.topic}`).join('; ')}\n` : ''}
 
 Crie o JSON completo no formato exigido.`;
 
@@ -1008,7 +1581,15 @@ Crie o JSON completo no formato exigido.`;
       };
     }
 
-    let plan = await withLLMGate(() => askLLMJson({ system: systemPlan, user: userPlan, max_tokens: 900, temperature: 0.2, timeoutMs: FAST_TIMEOUT }));
+    const plannerUsage = usageTap(trackUsage(userId, '/planner/compose'));
+    let plan = await withLLMGate(
+      ({ signal } = {}) => askLLMJson({
+        system: systemPlan, user: userPlan, max_tokens: 900, temperature: 0.2, timeoutMs: FAST_TIMEOUT, signal,
+        onUsage: plannerUsage.onUsage
+      }),
+      llmGateOpts(req, res, 'planner')
+    );
+    if (plan?._error === 'cancelled') return res.end();
 
 
     const timeUp = Date.now() - start > BUDGET_MS;
@@ -1034,7 +1615,7 @@ Crie o JSON completo no formato exigido.`;
       userId,
       entrada: { dataAlvo, minutosPorDia, nivel, itens: safeItens, contexto: req.body.contexto || null, categoriaDesejada: req.body.categoriaDesejada || null },
       plano: plan,
-      meta: { nivel, minutosPorDia: capDia, objetivoGeral: req.body?.objetivoGeral || '' }
+      meta: { nivel, minutosPorDia: capDia, objetivoGeral, prompt: plannerPrompt.ref, model: plannerUsage.info.model }
     });
     return res.json({ id: planId, plan });
   } catch (e) {
@@ -1194,6 +1775,15 @@ app.get('/planner/:id', async (req, res) => {
   }
 });
 
+// Blocos/itens do plano não guardam a matéria: casa o título com as matérias da entrada
+// (o fallback local usa a própria matéria como título); uma só matéria → ela.
+function planMateriaOf(payload, titulo = '') {
+  const materias = [...new Set((payload?.input?.itens || []).map(it => it.materia).filter(Boolean))];
+  const t = normKey(titulo);
+  const hit = materias.find(m => normKey(m) && t.includes(normKey(m)));
+  return hit || (materias.length === 1 ? materias[0] : 'geral');
+}
+
 // PATCH /planner/:id/block
 app.patch('/planner/:id/block', async (req, res) => {
   try {
@@ -1214,12 +1804,20 @@ app.patch('/planner/:id/block', async (req, res) => {
     const blk = (day.blocos || []).find(b => b.inicio === start);
     if (!blk) return res.status(404).json({ error: 'Bloco não encontrado' });
 
+    const wasDone = Boolean(blk.done);
     blk.done = Boolean(done);
     blk.doneAt = done ? nowISO() : null;
 
     await removeEvent(id, userId);
     await addEvent(found);
 
+    if (done && !wasDone && blk.tipo !== 'pausa' && blk.tipo !== 'buffer') {
+      const materia = planMateriaOf(found.payload, blk.titulo);
+      const topicos = (Array.isArray(blk.topicos) ? blk.topicos : []).filter(t => typeof t === 'string' && t.trim());
+      ingestMastery((topicos.length ? topicos : ['']).slice(0, 5)
+        .map(topic => ({ userId, materia, topic, source: 'planner_block' })));
+    }
+
     res.json({ ok: true, block: blk });
   } catch (e) {
     console.error('PATCH /planner/:id/block error', e);
@@ -1242,6 +1840,7 @@ app.patch('/planner/:id/checklist/:itemId', async (req, res) => {
     const plan = found.payload?.plan || {};
     if (!Array.isArray(plan.checklist)) plan.checklist = [];
 
+    const item = plan.checklist.find(ch => ch.id === itemId);
     plan.checklist = plan.checklist.map(ch =>
       ch.id === itemId
         ? { ...ch, done: Boolean(done), doneAt: done ? nowISO() : null }
@@ -1251,6 +1850,10 @@ app.patch('/planner/:id/checklist/:itemId', async (req, res) => {
     await removeEvent(id, userId);
     await addEvent(found);
 
+    if (item && done && !item.done) {
+      ingestMastery({ userId, materia: planMateriaOf(found.payload, item.titulo), topic: item.titulo || '', source: 'checklist' });
+    }
+
     res.json({ ok: true, checklist: plan.checklist });
   } catch (e) {
     console.error('PATCH /planner/:id/checklist/:itemId error', e);
@@ -1309,9 +1912,29 @@ app.delete('/planner/:id', async (req, res) => {
 ------------------------------------------------------- */
 app.get('/', (_req, res) => res.send('help-ai-api ✅'));
 
-registerKanban(app, { addEvent, listEvents, removeEvent, uuid, askLLMJson });
+registerKanban(app, {
+  addEvent, listEvents, removeEvent, uuid, askLLMJson,
+  withLLMGate, llmGateOpts, checkQuota, quotaErrorBody, trackUsage, ingestMastery
+});
+registerQuiz(app, {
+  addEvent, listEvents, removeEvent, uuid, askLLMJson,
+  withLLMGate, llmGateOpts, sendLLMError, checkQuota, quotaErrorBody, trackUsage, ingestMastery, addMistakes
+});
+registerSimulado(app, {
+  addEvent, listEvents, removeEvent, uuid, askLLMJson,
+  withLLMGate, llmGateOpts, sendLLMError, checkQuota, quotaErrorBody, trackUsage, ingestMastery, addMistakes
+});
+registerMistakes(app, {
+  addEvent, uuid, askLLMJson, mistakeStore,
+  withLLMGate, llmGateOpts, sendLLMError, checkQuota, quotaErrorBody, trackUsage
+});
 
 (async () => {
+  const authProblem = authConfigError();
+  if (authProblem) {
+    console.error(`❌ ${authProblem}`);
+    process.exit(1);
+  }
   try { await ensureWebAPIs(); } catch {}
   app.listen(PORT, () => {
     console.log(`API on http://localhost:${PORT}`);
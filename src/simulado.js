@@ -0,0 +1,560 @@
+// src/simulado.js
+'use strict';
+const { z } = require('zod');
+const { langInfo, langRule } = require('./lib/i18n');
+
+module.exports = function registerSimulado(
+  app,
+  {
+    addEvent, listEvents, removeEvent, uuid, askLLMJson,
+    withLLMGate, llmGateOpts, sendLLMError, checkQuota, quotaErrorBody, trackUsage, ingestMastery, addMistakes
+  }
+) {
+  if (!app) throw new Error('simulado: app inexistente');
+  if (!addEvent || !listEvents || !removeEvent || !uuid) {
+    throw new Error('simulado: db helpers/uuid ausentes');
+  }
+  if (!askLLMJson) throw new Error('simulado: askLLMJson ausente');
+
+  const TYP = 'simulado';
+  const MAX = 10000;
+  const GRACE_MS = 60_000; // tolerância de rede p/ respostas enviadas no fim do tempo
+  const POINTS = { objetiva: 1, discursiva: 3 };
+  const nowISO = () => new Date().toISOString();
+
+  async function getAll(userId) {
+    const rows = await listEvents(userId, MAX);
+    return (rows || []).filter(e => e.type === TYP);
+  }
+
+  async function findSimulado(userId, id) {
+    const all = await getAll(userId);
+    return all.find(e => e.id === id) || null;
+  }
+
+  // mesmo padrão do planner/kanban: regrava o evento (id e createdAt preservados)
+  async function saveSimulado(ev) {
+    await removeEvent(ev.id, ev.userId);
+    await addEvent(ev);
+    return ev;
+  }
+
+  async function gate(req, res, fn, priority = 'chat') {
+    return withLLMGate ? withLLMGate(fn, llmGateOpts(req, res, priority)) : fn();
+  }
+
+  /* =========================
+   * Schemas do LLM
+   * ========================= */
+  const ObjetivaSchema = z.object({
+    kind: z.literal('objetiva'),
+    prompt: z.string().trim().min(5).max(1200),
+    options: z.array(z.string().trim().min(1).max(300)).min(4).max(5),
+    correctIndex: z.number().int().min(0).max(4),
+    explanation: z.string().trim().min(1).max(1000),
+    topic: z.string().trim().min(1).max(80),
+  }).refine(q => q.correctIndex < q.options.length, { message: 'correctIndex fora das alternativas' });
+
+  const DiscursivaSchema = z.object({
+    kind: z.literal('discursiva'),
+    prompt: z.string().trim().min(5).max(1200),
+    expectedAnswer: z.string().trim().min(1).max(1500),
+    rubric: z.array(z.string().trim().min(1).max(200)).min(1).max(6),
+    topic: z.string().trim().min(1).max(80),
+  });
+
+  const SimuladoSchema = z.object({
+    title: z.string().trim().min(1).max(120).optional(),
+    questions: z.array(z.union([ObjetivaSchema, DiscursivaSchema])).min(1).max(40),
+  });
+
+  const GradesSchema = z.object({
+    grades: z.array(z.object({
+      id: z.string(),
+      score: z.number().min(0),
+      feedback: z.string().trim().max(800).default(''),
+    })),
+  });
+
+  function shuffleOptions(q) {
+    const order = q.options.map((_, i) => i);
+    for (let i = order.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [order[i], order[j]] = [order[j], order[i]];
+    }
+    return { ...q, options: order.map(i => q.options[i]), correctIndex: order.indexOf(q.correctIndex) };
+  }
+
+  function parseSimulado(raw) {
+    const parsed = SimuladoSchema.safeParse(raw || {});
+    if (!parsed.success) {
+      console.warn('[simulado] zod errors:', parsed.error.issues?.slice(0, 3));
+      return null;
+    }
+    let o = 0, d = 0;
+    return {
+      title: parsed.data.title || null,
+      questions: parsed.data.questions.map(q => (q.kind === 'objetiva'
+        ? { id: `o${++o}`, points: POINTS.objetiva, ...shuffleOptions(q) }
+        : { id: `d${++d}`, points: POINTS.discursiva, ...q })),
+    };
+  }
+
+  /* =========================
+   * Sessão / correção
+   * ========================= */
+  function sessionState(p, now = Date.now()) {
+    if (p.result) return 'finished';
+    if (!p.startedAt) return 'created';
+    return now > new Date(p.deadline).getTime() ? 'expired' : 'in_progress';
+  }
+
+  function remainingSec(p, now = Date.now()) {
+    if (!p.deadline || p.result) return null;
+    return Math.max(0, Math.round((new Date(p.deadline).getTime() - now) / 1000));
+  }
+
+  // Aceita { [questionId]: índice | texto }; ignora ids desconhecidos, tipos errados e índices fora das alternativas
+  function sanitizeAnswers(questions, answers) {
+    const out = {};
+    if (!answers || typeof answers !== 'object') return out;
+    for (const q of questions) {
+      const v = answers[q.id];
+      if (q.kind === 'objetiva' && Number.isInteger(v) && v >= 0 && v < q.options.length) out[q.id] = v;
+      if (q.kind === 'discursiva' && typeof v === 'string') out[q.id] = v.slice(0, 4000);
+    }
+    return out;
+  }
+
+  function gradeObjective(q, answer) {
+    const correct = answer === q.correctIndex;
+    return {
+      questionId: q.id, kind: q.kind, topic: q.topic,
+      answer: Number.isInteger(answer) ? answer : null,
+      correct,
+      score: correct ? q.points : 0,
+      points: q.points,
+      correctIndex: q.correctIndex,
+      explanation: q.explanation,
+    };
+  }
+
+  // Corrige as discursivas numa chamada só; falha (ou llm:false, sem cota) → itens ficam pendentes (score null)
+  async function gradeWritten(req, res, userId, ev, items, { llm = true } = {}) {
+    const pending = items.filter(q => (ev.payload.answers || {})[q.id]?.trim());
+    const blank = items.filter(q => !pending.includes(q));
+    const base = q => ({
+      questionId: q.id, kind: q.kind, topic: q.topic,
+      answer: (ev.payload.answers || {})[q.id] || '',
+      points: q.points,
+      expectedAnswer: q.expectedAnswer,
+    });
+    const graded = blank.map(q => ({ ...base(q), score: 0, feedback: 'Sem resposta.' }));
+    if (!pending.length) return { graded };
+    const later = q => ({ ...base(q), score: null, feedback: 'Correção indisponível agora; tente /regrade.' });
+    if (!llm) return { graded: [...graded, ...pending.map(later)] };
+
+    const system = `Você corrige questões discursivas de simulado (${langInfo(req.lang).prompt}) seguindo a rubrica.
+- Responda APENAS JSON válido: {"grades":[{"id":"d1","score":0,"feedback":"curto e construtivo"}]}
+- "score" de 0 até os pontos da questão (aceita meio ponto).
+- Avalie o conteúdo, não a ortografia; resposta vazia ou fora do tema = 0.${langRule(req.lang) ? `\n${langRule(req.lang)}` : ''}`;
+    const user = pending.map(q => `### ${q.id} (${q.points} pontos)
+ENUNCIADO: ${q.prompt}
+RESPOSTA ESPERADA: ${q.expectedAnswer}
+RUBRICA:
+${q.rubric.map(r => `- ${r}`).join('\n')}
+RESPOSTA DO ALUNO: ${String(ev.payload.answers[q.id]).slice(0, 2000)}`).join('\n\n');
+
+    const call = ({ signal } = {}) => askLLMJson({
+      system, user, max_tokens: 120 * pending.length + 80, temperature: 0, signal,
+      onUsage: trackUsage ? trackUsage(userId, '/simulados/grade') : undefined,
+    });
+    const raw = await gate(req, res, call);
+    const parsed = raw && !raw._error ? GradesSchema.safeParse(raw) : null;
+    const byId = new Map(parsed?.success ? parsed.data.grades.map(g => [g.id, g]) : []);
+
+    for (const q of pending) {
+      const g = byId.get(q.id);
+      graded.push(g
+        ? { ...base(q), score: Math.min(q.points, Math.round(g.score * 2) / 2), feedback: g.feedback }
+        : later(q));
+    }
+    return { graded, llmError: raw?._error ? raw : null };
+  }
+
+  function summarize(items) {
+    const byTopic = new Map();
+    let score = 0, maxScore = 0;
+    for (const it of items) {
+      maxScore += it.points;
+      score += it.score || 0;
+      const t = byTopic.get(it.topic) || { topic: it.topic, score: 0, max: 0 };
+      t.score += it.score || 0;
+      t.max += it.points;
+      byTopic.set(it.topic, t);
+    }
+    return {
+      score, maxScore,
+      percent: maxScore ? Math.round((score / maxScore) * 100) : 0,
+      byTopic: [...byTopic.values()].map(t => ({ ...t, percent: t.max ? Math.round((t.score / t.max) * 100) : 0 })),
+      pending: items.some(it => it.score === null),
+    };
+  }
+
+  async function grade(req, res, userId, ev, opts) {
+    const p = ev.payload;
+    const answers = p.answers || {};
+    const objective = p.questions.filter(q => q.kind === 'objetiva').map(q => gradeObjective(q, answers[q.id]));
+    const written = await gradeWritten(req, res, userId, ev, p.questions.filter(q => q.kind === 'discursiva'), opts);
+    const order = new Map(p.questions.map((q, i) => [q.id, i]));
+    const items = [...objective, ...written.graded].sort((a, b) => order.get(a.questionId) - order.get(b.questionId));
+    return { items, ...summarize(items), llmError: written.llmError };
+  }
+
+  // Visão do aluno: sem gabarito até terminar
+  function toPublic(ev) {
+    const p = ev.payload || {};
+    const state = sessionState(p);
+    return {
+      id: ev.id,
+      title: p.title,
+      materia: p.materia,
+      nivel: p.nivel,
+      exam: p.exam || null,
+      durationMin: p.durationMin,
+      state,
+      startedAt: p.startedAt || null,
+      deadline: p.deadline || null,
+      remainingSec: remainingSec(p),
+      questions: (p.questions || []).map(q => ({
+        id: q.id, kind: q.kind, prompt: q.prompt, topic: q.topic, points: q.points,
+        ...(q.kind === 'objetiva' ? { options: q.options } : {}),
+      })),
+      answers: p.answers || {},
+      result: p.result || null,
+      createdAt: ev.createdAt,
+    };
+  }
+
+  /* =========================
+   * Rotas
+   * ========================= */
+  // POST /simulados { userId, materia, nivel?, exam?, count?, discursivas?, topics?, durationMin? }
+  app.post('/simulados', async (req, res) => {
+    try {
+      const {
+        userId, materia, nivel = 'medio', exam = 'prova', topics = [],
+      } = req.body || {};
+      if (!userId || typeof materia !== 'string' || !materia.trim()) {
+        return res.status(400).json({ error: 'userId e materia são obrigatórios' });
+      }
+      const count = Math.max(1, Math.min(30, Number(req.body?.count) || 10));
+      const discursivas = Math.max(0, Math.min(5, Number(req.body?.discursivas ?? 2)));
+      const durationMin = Math.max(5, Math.min(300,
+        Number(req.body?.durationMin) || count * 3 + discursivas * 8));
+
+      if (checkQuota) {
+        const quota = await checkQuota(userId);
+        if (!quota.ok) return res.status(429).json(quotaErrorBody(quota));
+      }
+
+      const system = `Você elabora simulados de ${exam === 'enem' ? 'ENEM' : 'provas escolares'} em ${langInfo(req.lang).prompt}.
+- Responda APENAS JSON válido no formato:
+{"title":"string curta","questions":[
+ {"kind":"objetiva","prompt":"enunciado","options":["...","...","...","...","..."],"correctIndex":0,"explanation":"resolução comentada","topic":"subtópico"},
+ {"kind":"discursiva","prompt":"enunciado","expectedAnswer":"resposta modelo","rubric":["critério 1","critério 2"],"topic":"subtópico"}
+]}
+- Objetivas: ${exam === 'enem' ? '5 alternativas, estilo ENEM (texto-base + comando)' : '4 alternativas'}, só uma correta; não prefixe com letras.
+- Discursivas: respostas curtas (até 10 linhas), rubrica objetiva.
+- "topic" curto e consistente entre questões do mesmo assunto.${langRule(req.lang) ? `\n${langRule(req.lang)}` : ''}`;
+      const user = `Matéria: ${materia.trim()} | Nível: ${nivel}
+${Array.isArray(topics) && topics.length ? `Assuntos: ${topics.slice(0, 10).join(', ')}\n` : ''}Gere ${count} objetivas e ${discursivas} discursivas.`;
+
+      const call = ({ signal } = {}) => askLLMJson({
+        system, user, max_tokens: Math.min(6000, 260 * count + 320 * discursivas + 120), temperature: 0.4, signal,
+        onUsage: trackUsage ? trackUsage(userId, '/simulados') : undefined,
+      });
+      const raw = await gate(req, res, call, 'planner');
+      if (sendLLMError && sendLLMError(res, raw)) return;
+
+      const sim = parseSimulado(raw);
+      if (!sim) return res.status(502).json({ error: 'simulado_invalid', hint: 'o modelo não devolveu um simulado válido; tente de novo' });
+
+      const ev = {
+        id: uuid(),
+        userId,
+        type: TYP,
+        payload: {
+          materia: materia.trim(), nivel, exam,
+          title: sim.title || `Simulado de ${materia.trim()}`,
+          durationMin,
+          questions: sim.questions,
+          answers: {},
+          startedAt: null,
+          deadline: null,
+          result: null,
+        },
+        createdAt: nowISO(),
+      };
+      await addEvent(ev);
+      return res.json({ simulado: toPublic(ev) });
+    } catch (e) {
+      console.error('POST /simulados error', e);
+      return res.status(500).json({ error: 'erro interno' });
+    }
+  });
+
+  // GET /simulados?userId&materia — histórico (sem as questões)
+  app.get('/simulados', async (req, res) => {
+    try {
+      const { userId, materia } = req.query || {};
+      if (!userId) return res.status(400).json({ error: 'userId é obrigatório' });
+      const all = await getAll(userId);
+      const items = all
+        .filter(e => !materia || e.payload?.materia === materia)
+        .map(toPublic)
+        .map(({ questions, answers, result, ...s }) => ({
+          ...s,
+          questionsCount: questions.length,
+          result: result ? { score: result.score, maxScore: result.maxScore, percent: result.percent, pending: result.pending } : null,
+        }));
+      return res.json({ items });
+    } catch (e) {
+      console.error('GET /simulados error', e);
+      return res.status(500).json({ error: 'erro interno' });
+    }
+  });
+
+  // GET /simulados/progress?userId&materia — desempenho por tópico nos simulados finalizados
+  app.get('/simulados/progress', async (req, res) => {
+    try {
+      const { userId, materia } = req.query || {};
+      if (!userId) return res.status(400).json({ error: 'userId é obrigatório' });
+      const all = await getAll(userId);
+      const acc = new Map();
+      for (const ev of all) {
+        const p = ev.payload || {};
+        if (!p.result || (materia && p.materia !== materia)) continue;
+        for (const t of p.result.byTopic || []) {
+          const key = `${p.materia}::${t.topic}`;
+          const cur = acc.get(key) || { materia: p.materia, topic: t.topic, score: 0, max: 0, simulados: 0, lastAt: null };
+          cur.score += t.score;
+          cur.max += t.max;
+          cur.simulados += 1;
+          if (!cur.lastAt || p.result.finishedAt > cur.lastAt) cur.lastAt = p.result.finishedAt;
+          acc.set(key, cur);
+        }
+      }
+      const topics = [...acc.values()]
+        .map(t => ({ ...t, percent: t.max ? Math.round((t.score / t.max) * 100) : 0 }))
+        .sort((a, b) => a.percent - b.percent);
+      return res.json({ topics });
+    } catch (e) {
+      console.error('GET /simulados/progress error', e);
+      return res.status(500).json({ error: 'erro interno' });
+    }
+  });
+
+  // GET /simulados/:id?userId — gabarito/explicações só depois de finalizado
+  app.get('/simulados/:id', async (req, res) => {
+    try {
+      const { userId } = req.query || {};
+      if (!userId) return res.status(400).json({ error: 'userId é obrigatório' });
+      const ev = await findSimulado(userId, req.params.id);
+      if (!ev) return res.status(404).json({ error: 'Simulado não encontrado' });
+      return res.json({ simulado: toPublic(ev) });
+    } catch (e) {
+      console.error('GET /simulados/:id error', e);
+      return res.status(500).json({ error: 'erro interno' });
+    }
+  });
+
+  // POST /simulados/:id/start { userId } — começa a contar o tempo
+  app.post('/simulados/:id/start', async (req, res) => {
+    try {
+      const { userId } = req.body || {};
+      if (!userId) return res.status(400).json({ error: 'userId é obrigatório' });
+      const ev = await findSimulado(userId, req.params.id);
+      if (!ev) return res.status(404).json({ error: 'Simulado não encontrado' });
+
+      const state = sessionState(ev.payload);
+      if (state !== 'created') {
+        return res.status(409).json({ error: 'Simulado já iniciado', simulado: toPublic(ev) });
+      }
+      const now = Date.now();
+      ev.payload = {
+        ...ev.payload,
+        startedAt: new Date(now).toISOString(),
+        deadline: new Date(now + ev.payload.durationMin * 60_000).toISOString(),
+      };
+      await saveSimulado(ev);
+      return res.json({ simulado: toPublic(ev) });
+    } catch (e) {
+      console.error('POST /simulados/:id/start error', e);
+      return res.status(500).json({ error: 'erro interno' });
+    }
+  });
+
+  // PUT /simulados/:id/answers { userId, answers: { [questionId]: índice | texto } } — salva parcial
+  app.put('/simulados/:id/answers', async (req, res) => {
+    try {
+      const { userId, answers } = req.body || {};
+      if (!userId || !answers || typeof answers !== 'object') {
+        return res.status(400).json({ error: 'userId e answers são obrigatórios' });
+      }
+      const ev = await findSimulado(userId, req.params.id);
+      if (!ev) return res.status(404).json({ error: 'Simulado não encontrado' });
+
+      const state = sessionState(ev.payload);
+      if (state === 'created') return res.status(409).json({ error: 'Inicie o simulado antes de responder' });
+      if (state === 'finished') return res.status(409).json({ error: 'Simulado já finalizado' });
+      if (Date.now() > new Date(ev.payload.deadline).getTime() + GRACE_MS) {
+        return res.status(409).json({ error: 'Tempo esgotado; finalize o simulado' });
+      }
+
+      ev.payload = {
+        ...ev.payload,
+        answers: { ...(ev.payload.answers || {}), ...sanitizeAnswers(ev.payload.questions, answers) },
+      };
+      await saveSimulado(ev);
+      return res.json({ ok: true, answered: Object.keys(ev.payload.answers).length, remainingSec: remainingSec(ev.payload) });
+    } catch (e) {
+      console.error('PUT /simulados/:id/answers error', e);
+      return res.status(500).json({ error: 'erro interno' });
+    }
+  });
+
+  // objetivas erradas e discursivas abaixo da metade → caderno de erros
+  function mistakesFromItems(userId, ev, items) {
+    if (!addMistakes) return;
+    const byId = new Map(ev.payload.questions.map(q => [q.id, q]));
+    const wrong = items
+      .filter(it => it.score !== null && it.score < it.points / 2)
+      .map(it => {
+        const q = byId.get(it.questionId);
+        const objetiva = q.kind === 'objetiva';
+        return {
+          question: q.prompt,
+          studentAnswer: objetiva
+            ? (it.answer === null ? '(em branco)' : q.options[it.answer])
+            : (it.answer || '(em branco)'),
+          correctAnswer: objetiva ? q.options[q.correctIndex] : q.expectedAnswer,
+          explanation: objetiva ? q.explanation : it.feedback,
+          materia: ev.payload.materia,
+          topic: q.topic,
+          source: 'simulado',
+          ref: { simuladoId: ev.id, questionId: q.id },
+        };
+      });
+    if (wrong.length) addMistakes(userId, wrong).catch(e => console.warn('addMistakes error', e?.message || e));
+  }
+
+  // itens já corrigidos → um sinal por tópico p/ o domínio do aluno (pendentes ficam p/ o regrade)
+  function masteryFromItems(userId, materia, items) {
+    if (!ingestMastery) return;
+    const byTopic = new Map();
+    for (const it of items.filter(i => i.score !== null)) {
+      const t = byTopic.get(it.topic) || { score: 0, max: 0 };
+      t.score += it.score;
+      t.max += it.points;
+      byTopic.set(it.topic, t);
+    }
+    ingestMastery([...byTopic.entries()].filter(([, t]) => t.max).map(([topic, t]) => ({
+      userId, materia, topic, score: t.score / t.max, source: 'simulado',
+    })));
+  }
+
+  // POST /simulados/:id/finish { userId, answers? } — corrige e grava o resultado
+  // Respostas enviadas depois do prazo (+ tolerância) são ignoradas.
+  // O resultado é gravado mesmo sem cota ou com o cliente tendo saído: as discursivas
+  // ficam pendentes (score null) p/ o /regrade, e as respostas no prazo não se perdem.
+  app.post('/simulados/:id/finish', async (req, res) => {
+    try {
+      const { userId, answers } = req.body || {};
+      if (!userId) return res.status(400).json({ error: 'userId é obrigatório' });
+      const ev = await findSimulado(userId, req.params.id);
+      if (!ev) return res.status(404).json({ error: 'Simulado não encontrado' });
+
+      const state = sessionState(ev.payload);
+      if (state === 'created') return res.status(409).json({ error: 'Simulado não foi iniciado' });
+      if (state === 'finished') return res.json({ result: ev.payload.result });
+
+      const now = Date.now();
+      const late = now > new Date(ev.payload.deadline).getTime() + GRACE_MS;
+      if (!late && answers) {
+        ev.payload.answers = { ...(ev.payload.answers || {}), ...sanitizeAnswers(ev.payload.questions, answers) };
+      }
+
+      const quota = checkQuota && ev.payload.questions.some(q => q.kind === 'discursiva')
+        ? await checkQuota(userId)
+        : { ok: true };
+
+      const { llmError, ...graded } = await grade(req, res, userId, ev, { llm: quota.ok });
+
+      const finishedAt = new Date(now).toISOString();
+      const result = {
+        ...graded,
+        finishedAt,
+        timeSpentSec: Math.round((Math.min(now, new Date(ev.payload.deadline).getTime()) - new Date(ev.payload.startedAt).getTime()) / 1000),
+        late,
+      };
+      ev.payload = { ...ev.payload, result };
+      await saveSimulado(ev);
+      masteryFromItems(userId, ev.payload.materia, result.items);
+      mistakesFromItems(userId, ev, result.items);
+      if (llmError?._error === 'cancelled') return res.end();
+      // sem cota: finaliza assim mesmo; `quota` avisa por que as discursivas ficaram pendentes
+      return res.json({ result, ...(quota.ok ? {} : { quota: quotaErrorBody(quota) }) });
+    } catch (e) {
+      console.error('POST /simulados/:id/finish error', e);
+      return res.status(500).json({ error: 'erro interno' });
+    }
+  });
+
+  // POST /simulados/:id/regrade { userId } — refaz a correção das discursivas pendentes
+  app.post('/simulados/:id/regrade', async (req, res) => {
+    try {
+      const { userId } = req.body || {};
+      if (!userId) return res.status(400).json({ error: 'userId é obrigatório' });
+      const ev = await findSimulado(userId, req.params.id);
+      if (!ev) return res.status(404).json({ error: 'Simulado não encontrado' });
+      const prev = ev.payload.result;
+      if (!prev) return res.status(409).json({ error: 'Simulado não finalizado' });
+      if (!prev.pending) return res.json({ result: prev });
+
+      if (checkQuota) {
+        const quota = await checkQuota(userId);
+        if (!quota.ok) return res.status(429).json(quotaErrorBody(quota));
+      }
+
+      const { llmError, ...graded } = await grade(req, res, userId, ev);
+      if (llmError?._error === 'cancelled') return res.end();
+      const result = { ...prev, ...graded };
+      ev.payload = { ...ev.payload, result };
+      await saveSimulado(ev);
+      const wasPending = new Set(prev.items.filter(it => it.score === null).map(it => it.questionId));
+      const regraded = result.items.filter(it => wasPending.has(it.questionId));
+      masteryFromItems(userId, ev.payload.materia, regraded);
+      mistakesFromItems(userId, ev, regraded);
+      return res.json({ result });
+    } catch (e) {
+      console.error('POST /simulados/:id/regrade error', e);
+      return res.status(500).json({ error: 'erro interno' });
+    }
+  });
+
+  // DELETE /simulados/:id?userId
+  app.delete('/simulados/:id', async (req, res) => {
+    try {
+      const { userId } = req.query || {};
+      if (!userId) return res.status(400).json({ error: 'userId é obrigatório' });
+      const ev = await findSimulado(userId, req.params.id);
+      if (!ev) return res.status(404).json({ error: 'Simulado não encontrado' });
+      const removed = await removeEvent(ev.id, userId);
+      return res.json({ ok: removed > 0 });
+    } catch (e) {
+      console.error('DELETE /simulados/:id error', e);
+      return res.status(500).json({ error: 'erro interno' });
+    }
+  });
+};
@@ -0,0 +1,60 @@
+// test/auth.test.js — authUser no modo transitional (sem token)
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert');
+
+// prisma de mentira: só o que o authUser consulta (User e Session)
+const db = {
+  users: new Map([
+    ['anon-novo', {}], ['anon-migrado', {}], ['cadastrado', { email: 'a@b.c' }],
+    ['anon-vinculado', { mergedIntoId: 'cadastrado' }],
+  ]),
+  sessions: [{ id: 's1', userId: 'anon-migrado' }],
+};
+const prisma = {
+  user: { findUnique: async ({ where }) => db.users.get(where.id) || null },
+  session: { count: async ({ where }) => db.sessions.filter(s => s.userId === where.userId).length },
+};
+const prismaPath = require.resolve('../src/lib/prisma');
+require.cache[prismaPath] = { id: prismaPath, filename: prismaPath, loaded: true, exports: { prisma } };
+
+process.env.AUTH_MODE = 'transitional';
+process.env.JWT_SECRET = 'test';
+const { authUser } = require('../src/lib/auth');
+
+async function run(userId) {
+  const req = { method: 'GET', path: '/history', query: { userId }, body: undefined, get: () => '' };
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+  };
+  let nexted = false;
+  await authUser(req, res, () => { nexted = true; });
+  return { req, res, nexted };
+}
+
+test('sem token: id anônimo que nunca abriu sessão passa', async () => {
+  const { req, nexted } = await run('anon-novo');
+  assert.strictEqual(nexted, true);
+  assert.strictEqual(req.userId, 'anon-novo');
+});
+
+test('sem token: id anônimo que já tem sessão → 401', async () => {
+  const { res, nexted } = await run('anon-migrado');
+  assert.strictEqual(nexted, false);
+  assert.strictEqual(res.statusCode, 401);
+  assert.deepStrictEqual(res.body, { error: 'token obrigatório' });
+});
+
+test('sem token: id anônimo já vinculado a uma conta → 401', async () => {
+  const { res, nexted } = await run('anon-vinculado');
+  assert.strictEqual(nexted, false);
+  assert.strictEqual(res.statusCode, 401);
+});
+
+test('sem token: conta cadastrada → 401', async () => {
+  const { res, nexted } = await run('cadastrado');
+  assert.strictEqual(nexted, false);
+  assert.strictEqual(res.statusCode, 401);
+});